@@ -10,6 +10,9 @@ process.on('unhandledRejection', (err) => {
 });
 
 const Args = require('../lib/utils/args.js');
+const EventLog = require('../lib/utils/event-log.js');
+const Settings = require('../lib/utils/settings.js');
+const {version} = require('../package.json');
 
 (async () => {
   // Process and validate arguments
@@ -31,6 +34,9 @@ const Args = require('../lib/utils/args.js');
     process.exit(1);
   }
 
+  // Machine readable output replaces human readable output on stdout
+  if (args.opts.output === 'ndjson') EventLog.enable();
+
   // Initialize the action
   const action = require(`../lib/actions/${args.args[0]}.js`);
 
@@ -40,10 +46,24 @@ const Args = require('../lib/utils/args.js');
     return;
   }
 
+  // Resolve settings from options, envars, and settings files
+  try {
+    args.settings = await Settings.load(args);
+  } catch (e) {
+    console.error('\nINVALID CONFIGURATION:');
+    console.group();
+    console.error(e.message);
+    console.groupEnd();
+    process.exit(1);
+  }
+
   // Run the action
+  EventLog.write('runStart', {action: args.args[0], args: args.args.slice(1), version});
   try {
     await action.exec(args);
   } catch (e) {
+    EventLog.write('runFailed', {action: args.args[0], error: e.message});
+
     // Log errors and exit
     console.error('ERROR RUNNING SCRIPT:');
     console.group();
@@ -10,7 +10,49 @@ module.exports = {
   MAX_BYTES: 18000000,
 
   /**
-   * The maximum number of upload parts to run at once for each object
+   * The maximum number of upload requests to run at once, across all objects
    */
-  MAX_CONCURRENT: 10
+  MAX_CONCURRENT: 10,
+
+  /**
+   * The maximum number of Bytes an object can be to be copied with a single request.
+   * Larger objects are copied in parts
+   */
+  MAX_COPY_BYTES: 5368709120,
+
+  /**
+   * The number of Bytes copied by each part of a multi-part copy
+   */
+  COPY_PART_BYTES: 536870912,
+
+  /**
+   * The maximum number of files to process at once
+   */
+  MAX_CONCURRENT_FILES: 5,
+
+  /**
+   * The maximum number of times a request will be attempted before giving up
+   */
+  MAX_ATTEMPTS: 5,
+
+  /**
+   * The number of releases of a deployed site to keep, including the current one
+   */
+  KEEP_RELEASES: 5,
+
+  /**
+   * The number of seconds a presigned URL is valid for
+   */
+  PRESIGN_EXPIRES: 3600,
+
+  /**
+   * The base number of milliseconds to wait before retrying a failed request. The
+   * maximum wait doubles with each attempt
+   */
+  RETRY_BASE_DELAY: 200,
+
+  /**
+   * The maximum number of milliseconds to wait before retrying a failed request
+   */
+  RETRY_MAX_DELAY: 20000
 };
@@ -0,0 +1,81 @@
+'use strict';
+
+const CliUtil = require('../utils/cli-util.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: cat
+
+This action will write the contents of an object to stdout, without saving it.
+The object is streamed, so it is never held in memory all at once
+
+Command Structure:
+  $ simplys3 cat <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket containing the object, plus the key of the object. Note that
+    paths must be "unix" style
+      Example:
+        $ simplys3 cat mybucket/logs/app.log.gz | zcat | grep ERROR
+        Will search the "logs/app.log.gz" object within "mybucket"
+
+Options:
+  --region {string}     Region of the bucket
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  --range {string}      Only write this range of Bytes, in the form
+                        --range=<start>-<end>. Both ends are included, and Bytes
+                        are numbered from 0. If the end is left off, the rest of
+                        the object is written
+  --tail {number}       Only write this many Bytes from the end of the object
+  --max-attempts {number}
+                        Maximum number of times a request will be attempted.
+                        Requests are only retried before any data is written
+                          Default: ${config.MAX_ATTEMPTS}
+  --sse-c-key-file {string}
+                        Path of a file containing the 256-bit key the object was
+                        encrypted with, if it was uploaded with SSE-C
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+
+All other output, including prompts for missing envars, is written to stderr.
+If the process reading the output exits early, the action stops without error
+`;
+
+const exec = async (args) => {
+  // Object data is the only thing written to stdout
+  EventLog.redirect();
+
+  const {bucket, prefix: objectKey} = CliUtil.parseBucketPath(args.args[1]);
+  if (!objectKey) {
+    throw new Error('An object key must be provided (<bucket>/<key>)');
+  }
+
+  let range = null;
+  if (args.opts.range) range = `bytes=${args.opts.range}`;
+  if (args.opts.tail) range = `bytes=-${args.opts.tail}`;
+
+  const envars = await CliUtil.getEnvars(args);
+  const s3 = await CliUtil.createS3(args, envars);
+
+  // A reader that exits early closes the pipe, which makes writes fail with EPIPE.
+  // The first error ends the download, and any that follow are not worth reporting
+  process.stdout.on('error', () => {});
+  try {
+    await s3.pipeS3Object(bucket, objectKey, process.stdout, {range, end: false});
+  } catch (e) {
+    if (e.code === 'EPIPE') return;
+    if (e.code === 'NoSuchKey') throw new Error(`Object "${bucket}/${objectKey}" does not exist`);
+    if (e.code === 'InvalidRange') throw new Error(`Range "${args.opts.range}" is outside of the object`);
+    throw e;
+  }
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
@@ -0,0 +1,200 @@
+'use strict';
+
+const path = require('path');
+
+const CliUtil = require('../utils/cli-util.js');
+const Scheduler = require('../utils/scheduler.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: cp
+
+This action will copy objects within S3. Data is copied by S3 directly, and is
+never downloaded. Metadata, storage class, and tags are kept, but ACLs are not
+
+Command Structure:
+  $ simplys3 cp <source_path> <dest_path>
+
+Arguments:
+  - source_path:
+    The bucket to copy from, plus the key of the object to copy. With the
+    --recursive flag, every object in this path will be copied instead
+  - dest_path:
+    The bucket to copy to, plus the key of the new object. If the key ends with
+    a "/", or the --recursive flag is used, this is the path objects are copied
+    into. Note that paths must be "unix" style
+      Example:
+        $ simplys3 cp mybucket/staging/ mybucket/release/ --recursive
+        Will copy everything in the "staging" path to the "release" path
+
+Options:
+  --region {string}     Region of the buckets
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  -r, --recursive {flag}
+                        Flag will copy every object in the source path
+  --max-files {number}  Maximum number of objects to copy at once
+                          Default: ${config.MAX_CONCURRENT_FILES}
+  --max-parts {number}  Maximum number of copy requests to run at once. Objects
+                        larger than ${config.MAX_COPY_BYTES} Bytes are copied in parts
+                          Default: ${config.MAX_CONCURRENT}
+  --sse {string}        Server-side encryption for the new objects, either
+                        "AES256" or "aws:kms"
+  --sse-kms-key-id {string}
+                        ID or ARN of the KMS key used with "--sse=aws:kms"
+  --sse-c-key-file {string}
+                        Path of a file containing the 256-bit key the source
+                        objects were encrypted with (SSE-C). The new objects are
+                        encrypted with the same key
+  --dry-run {flag}      Flag will print what would be copied without making any
+                        changes in S3
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+`;
+
+/**
+ * Copies objects, and optionally deletes the source objects once their copies
+ * have been confirmed. Shared by the `cp` and `mv` actions
+ *
+ * @param {Args} args Processed arguments
+ * @param {boolean} move If source objects should be deleted after being copied
+ */
+const transfer = async (args, move) => {
+  const actionName = move ? 'mv' : 'cp';
+  console.log(`Beginning ${actionName} action...`);
+  console.time('Total Time');
+  const startTime = Date.now();
+  console.group();
+
+  const recursive = args.opts.r || args.opts.recursive;
+  const src = CliUtil.parseBucketPath(args.args[1]);
+  const dst = CliUtil.parseBucketPath(args.args[2]);
+  if (!recursive && (!src.prefix || src.prefix.endsWith('/'))) {
+    throw new Error('A source object key must be provided. Use --recursive to copy a whole bucket path');
+  }
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log('\nVerifying Bucket State...');
+  const s3 = await CliUtil.createS3(args, envars);
+  const buckets = src.bucket === dst.bucket ? [src.bucket] : [src.bucket, dst.bucket];
+  for (let i=0; i<buckets.length; i++) {
+    try {
+      await s3.headS3Bucket(buckets[i]);
+    } catch (e) {
+      throw new Error(`Requested S3 Bucket "${buckets[i]}" cannot be found or accessed`);
+    }
+  }
+
+  console.log('\nGathering Objects...');
+  const copies = [];
+  if (recursive) {
+    // Copy objects within the "directory" of the source into the "directory" of the destination
+    const srcDir = src.prefix && !src.prefix.endsWith('/') ? `${src.prefix}/` : src.prefix;
+    const dstDir = dst.prefix && !dst.prefix.endsWith('/') ? `${dst.prefix}/` : dst.prefix;
+    const objects = await s3.listS3Objects(src.bucket, srcDir);
+    objects.forEach((object) => {
+      copies.push({srcKey: object.Key, dstKey: dstDir + object.Key.slice(srcDir.length)});
+    });
+  } else {
+    // Copying "into" a directory keeps the name of the source object
+    let dstKey = dst.prefix;
+    if (!dstKey || dstKey.endsWith('/')) dstKey += path.posix.basename(src.prefix);
+    copies.push({srcKey: src.prefix, dstKey});
+  }
+
+  // Copying an object onto itself would do nothing, and moving it would delete it
+  const sameObject = copies.some((copy) => src.bucket === dst.bucket && copy.srcKey === copy.dstKey);
+  if (sameObject) {
+    throw new Error('The source and destination must be different');
+  }
+  console.log(`Found ${copies.length} Objects`);
+
+  if (args.opts['dry-run']) {
+    console.log(`\nObjects to ${move ? 'Move' : 'Copy'} (dry run, nothing will be changed):`);
+    console.group();
+    copies.forEach((copy) => {
+      console.log(`${src.bucket}/${copy.srcKey} -> ${dst.bucket}/${copy.dstKey}`);
+    });
+    console.groupEnd();
+    console.groupEnd();
+    EventLog.write('runSummary', {dryRun: true, copied: copies.length, deleted: move ? copies.length : 0});
+    console.log('Dry run complete! Total Time Elapsed:');
+    console.timeEnd('Total Time');
+    return;
+  }
+
+  console.log('\nCopying Objects...');
+  console.group();
+  const confirmedKeys = [];
+  const fileScheduler = new Scheduler(CliUtil.getConcurrency(args).maxFiles);
+  await Promise.all(copies.map((copy) => fileScheduler.run(async () => {
+    const copyStartTime = Date.now();
+    let res;
+    try {
+      res = await s3.copyS3Object(src.bucket, copy.srcKey, dst.bucket, copy.dstKey);
+    } catch (e) {
+      EventLog.write('copyFailed', {
+        source: `${src.bucket}/${copy.srcKey}`,
+        key: copy.dstKey,
+        error: e.message,
+        code: e.code,
+        duration: Date.now() - copyStartTime
+      });
+      throw e;
+    }
+
+    // Confirm the copy exists with the correct size before the source can be removed
+    const head = await s3.headS3Object(dst.bucket, copy.dstKey);
+    if (!head || head.ContentLength !== res.size) {
+      throw new Error(`Copy of "${copy.srcKey}" to "${copy.dstKey}" could not be confirmed`);
+    }
+    confirmedKeys.push(copy.srcKey);
+    EventLog.write('objectCopied', {
+      source: `${src.bucket}/${copy.srcKey}`,
+      key: copy.dstKey,
+      size: res.size,
+      etag: res.etag,
+      multipart: res.multipart,
+      encryption: res.encryption,
+      duration: Date.now() - copyStartTime
+    });
+  })));
+  console.groupEnd();
+
+  if (move) {
+    console.log('\nDeleting Source Objects...');
+    const res = await s3.deleteS3Objects(src.bucket, confirmedKeys);
+    console.group();
+    res.Deleted.forEach((object) => EventLog.write('objectDeleted', {key: object.Key}));
+    res.Errors.forEach((err) => {
+      console.error(`Failed to delete ${err.Key}: ${err.Code} ${err.Message}`);
+      EventLog.write('deleteFailed', {key: err.Key, error: err.Message, code: err.Code});
+    });
+    console.groupEnd();
+    if (res.Errors.length) {
+      throw new Error(`Failed to delete ${res.Errors.length} source objects after copying`);
+    }
+  }
+
+  console.groupEnd();
+  EventLog.write('runSummary', {
+    copied: copies.length,
+    deleted: move ? confirmedKeys.length : 0,
+    duration: Date.now() - startTime
+  });
+  console.log(`${move ? 'Move' : 'Copy'} complete! Total Time Elapsed:`);
+  console.timeEnd('Total Time');
+};
+
+const exec = async (args) => {
+  return transfer(args, false);
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
+module.exports.transfer = transfer;
@@ -0,0 +1,236 @@
+'use strict';
+
+const path = require('path');
+
+const CliUtil = require('../utils/cli-util.js');
+const FileUtil = require('../utils/file-util.js');
+const Releases = require('../utils/releases.js');
+const EventLog = require('../utils/event-log.js');
+const {uploadDir} = require('./upload.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: deploy
+
+This action will publish the current directory as a new release of a static
+website. The release is uploaded in full to its own path before the site is
+switched to it, so visitors never see a partly deployed site
+
+Command Structure:
+  $ simplys3 deploy <bucket_path>
+  $ simplys3 deploy <bucket_path> --rollback[=<release>]
+
+Arguments:
+  - bucket_path:
+    The bucket the site is served from, plus the path of the site within the
+    bucket. Releases are uploaded to "releases/<site_path>/<release>/", and are
+    named by the time they were created, such as "20240131T235959Z". Note that
+    paths must be "unix" style
+      Example:
+        $ simplys3 deploy mybucket --source=dist
+        Will publish the "dist" directory as a new release of "mybucket"
+
+Options:
+  --region {string}     Region of the bucket
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  --source {string}     Directory to publish
+                          Default: . (the current directory)
+  --switch {string}     How the site is switched to a release, either
+                        "entrypoints" or "website":
+                          entrypoints: Every object of the release is copied to
+                            the site path, so relative URLs keep working. The
+                            entrypoint objects are copied last, once every file
+                            they load is in place. Files removed from the site
+                            are left in the site path
+                          website: The bucket's website configuration redirects
+                            requests for the site path to the release. An error
+                            document in the site path is moved to the same
+                            document in the release. A site path must be given,
+                            and website hosting is enabled with an "index.html"
+                            index document if it isn't already. S3 can only
+                            redirect, so visitors see (and may bookmark or
+                            share) the URL of the release they were sent to.
+                            Releases are never deleted with this switch, as
+                            doing so would break those links
+                          Default: entrypoints
+  --entrypoint {string} Path of an entrypoint object within the release, such as
+                        a page that loads other files. Used by
+                        "--switch=entrypoints". May be provided more than once
+                          Default: index.html
+  --keep {number}       Number of releases to keep, including the current one.
+                        Older releases are deleted after each deploy. Ignored by
+                        "--switch=website"
+                          Default: ${config.KEEP_RELEASES}
+  --rollback {flag}     Flag will switch the site back to the release before the
+                        current one, without uploading anything. Provide a
+                        release name (--rollback=<release>) to switch to that
+                        release instead
+  --dry-run {flag}      Flag will print what would be uploaded and switched
+                        without making any changes in S3
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+
+Every option of the upload action, such as --rules, --compress, and transforms,
+also applies to the files of a release.
+
+If any file fails to upload, the site is not switched. The incomplete release is
+never rolled back to, and can be deleted with:
+  $ simplys3 rm <bucket>/releases/<site_path>/<release> --recursive
+`;
+
+/**
+ * Switches a site back to an earlier release
+ *
+ * @param {Args} args Processed arguments
+ * @param {Releases} releases Releases of the site
+ * @param {number} startTime Time the action started, in milliseconds
+ */
+const rollback = async (args, releases, startTime) => {
+  const name = releases.getRollbackTarget(args.opts.rollback === true ? null : args.opts.rollback);
+  const {deploySwitch, entrypoints} = args.settings;
+
+  if (args.opts['dry-run']) {
+    console.log(`\nWould switch from release ${releases.current} to ${name} using ${deploySwitch}`);
+    EventLog.write('runSummary', {dryRun: true, release: name, previous: releases.current});
+
+    console.groupEnd();
+    console.log('Dry run complete! Total Time Elapsed:');
+    console.timeEnd('Total Time');
+    return;
+  }
+
+  console.log(`\nSwitching to Release ${name}...`);
+  const previous = releases.current;
+  await releases.switchTo(name, deploySwitch, entrypoints);
+  EventLog.write('releaseSwitched', {release: name, previous, method: deploySwitch});
+  EventLog.write('runSummary', {release: name, previous, duration: Date.now() - startTime});
+
+  console.groupEnd();
+  console.log(`Rolled back from release ${previous} to ${name}! Total Time Elapsed:`);
+  console.timeEnd('Total Time');
+};
+
+const exec = async (args) => {
+  console.log('Beginning deploy action...');
+  console.time('Total Time');
+  const startTime = Date.now();
+  console.group();
+
+  // Get all required variables
+  let sourceDir = process.cwd();
+  if (args.opts.source) {
+    sourceDir = path.join(sourceDir, args.opts.source);
+  }
+
+  // Separate the bucket from the path
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const {deploySwitch, entrypoints, keepReleases} = args.settings;
+
+  // Redirecting the whole bucket would also redirect requests for the releases
+  if (deploySwitch === 'website' && !prefix) {
+    throw new Error('"--switch=website" requires the path of the site within the bucket (<bucket>/<path>)');
+  }
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log(`\nConfiguration complete`);
+  console.group();
+  if (!args.opts.rollback) console.log(`Source Directory: ${sourceDir}`);
+  console.log(`Target Region: ${envars.AWS_DEFAULT_REGION}`);
+  console.log(`Target Bucket: ${bucket}`);
+  if (prefix) console.log(`Site Path: ${prefix}`);
+  console.log(`Switch: ${deploySwitch}`);
+  console.groupEnd();
+
+  console.log('\nVerifying Bucket State...');
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  const releases = new Releases(s3, bucket, prefix);
+  await releases.load();
+  console.log(`Current Release: ${releases.current || 'none'}`);
+
+  if (args.opts.rollback) return rollback(args, releases, startTime);
+
+  const name = Releases.createName();
+  if (releases.releases.includes(name)) {
+    throw new Error(`Release "${name}" already exists, wait a second before deploying again`);
+  }
+  const releasePath = releases.getReleasePath(name);
+  console.log(`New Release: ${name} (${releasePath})`);
+
+  // Make sure the site can be switched before anything is uploaded
+  if (deploySwitch === 'entrypoints') {
+    for (let i=0; i<entrypoints.length; i++) {
+      try {
+        await FileUtil.getStats(path.join(sourceDir, entrypoints[i]));
+      } catch (e) {
+        throw new Error(`Entrypoint "${entrypoints[i]}" does not exist in "${sourceDir}"`);
+      }
+    }
+  }
+
+  let res;
+  try {
+    res = await uploadDir(args, s3, sourceDir, bucket, releasePath);
+  } catch (e) {
+    console.error(`\nRelease ${name} failed to upload, the site has not been changed`);
+    throw e;
+  }
+
+  if (args.opts['dry-run']) {
+    console.log(`\nWould switch from release ${releases.current || 'none'} to ${name} using ${deploySwitch}`);
+    EventLog.write('runSummary', {dryRun: true, release: name, files: res.keys.length, bytes: res.bytes});
+
+    console.groupEnd();
+    console.log('Dry run complete! Total Time Elapsed:');
+    console.timeEnd('Total Time');
+    return;
+  }
+
+  console.log(`\nSwitching to Release ${name}...`);
+  const previous = releases.current;
+  await releases.switchTo(name, deploySwitch, entrypoints);
+  EventLog.write('releaseSwitched', {release: name, previous, method: deploySwitch});
+
+  // Visitors of a website may have been redirected to any release, and deleting
+  // it would break their links
+  let pruned = [];
+  if (deploySwitch === 'website') {
+    console.log('\nOld releases are kept, as visitors may have links to them');
+  } else {
+    console.log('\nDeleting Old Releases...');
+    pruned = await releases.prune(keepReleases);
+    console.group();
+    pruned.forEach((prunedName) => {
+      console.log(prunedName);
+      EventLog.write('releaseDeleted', {release: prunedName});
+    });
+    if (!pruned.length) console.log('None');
+    console.groupEnd();
+  }
+
+  EventLog.write('runSummary', {
+    release: name,
+    previous,
+    files: res.keys.length,
+    bytes: res.bytes,
+    pruned: pruned.length,
+    duration: Date.now() - startTime
+  });
+
+  console.groupEnd();
+  console.log(`Deployed release ${name}! Total Time Elapsed:`);
+  console.timeEnd('Total Time');
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
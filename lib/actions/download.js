@@ -0,0 +1,147 @@
+'use strict';
+
+const path = require('path');
+
+const CliUtil = require('../utils/cli-util.js');
+const FileUtil = require('../utils/file-util.js');
+const Scheduler = require('../utils/scheduler.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: download
+
+This action will download every object under a bucket path to a local directory
+
+Command Structure:
+  $ simplys3 download <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket to download data from, plus the path within the bucket that should
+    be downloaded. Note that paths must be "unix" style
+      Example:
+        $ simplys3 download mybucket/my/sub/directory
+        Will download everything in the "my/sub/directory" path within "mybucket"
+
+Options:
+  --region {string}     Region to download data from
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  --dest {string}       Directory to download data to. Object paths relative to
+                        the bucket path will be recreated within this directory
+                          Default: . (the current directory)
+  --max-files {number}  Maximum number of objects to download at once
+                          Default: ${config.MAX_CONCURRENT_FILES}
+  --max-attempts {number}
+                        Maximum number of times a request will be attempted.
+                        Requests that fail for transient reasons are retried
+                        with exponential backoff
+                          Default: ${config.MAX_ATTEMPTS}
+  --sse-c-key-file {string}
+                        Path of a file containing the 256-bit key the objects
+                        were encrypted with, if they were uploaded with SSE-C
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+`;
+
+const exec = async (args) => {
+  console.log('Beginning download action...');
+  console.time('Total Time');
+  const startTime = Date.now();
+  console.group();
+
+  // Get all required variables
+  let destDir = process.cwd();
+  if (args.opts.dest) {
+    destDir = path.resolve(destDir, args.opts.dest);
+  }
+
+  // Separate the bucket from the path. Downloads always mirror a "directory"
+  // so make sure the prefix ends with a slash
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const dirPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log(`\nConfiguration complete`);
+  console.group();
+  console.log(`Destination Directory: ${destDir}`);
+  console.log(`Source Region: ${envars.AWS_DEFAULT_REGION}`);
+  console.log(`Source Bucket: ${bucket}`);
+  if (dirPrefix) console.log(`Source Path: ${dirPrefix}`);
+  console.groupEnd();
+
+  console.log('\nVerifying Bucket State...');
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  console.log('\nGathering Objects...');
+  const objects = (await s3.listS3Objects(bucket, dirPrefix)).filter((object) => {
+    // Keys ending in a slash are "folder" placeholders and have no data to download
+    if (object.Key.endsWith('/')) return false;
+
+    // Never allow an object key to write outside of the destination directory
+    const fileName = path.resolve(destDir, object.Key.slice(dirPrefix.length));
+    const relPath = path.relative(destDir, fileName);
+    if (!relPath || relPath === '..' || relPath.startsWith(`..${path.sep}`) || path.isAbsolute(relPath)) {
+      console.warn(`Skipping object with unsafe key: ${object.Key}`);
+      return false;
+    }
+
+    return true;
+  });
+  console.log(`Found ${objects.length} Objects`);
+  objects.forEach((object) => {
+    const fileName = path.resolve(destDir, object.Key.slice(dirPrefix.length));
+    EventLog.write('fileQueued', {key: object.Key, file: fileName, size: object.Size});
+  });
+
+  console.log('\nDownloading Objects...');
+  console.group();
+  const fileScheduler = new Scheduler(CliUtil.getConcurrency(args).maxFiles);
+  await Promise.all(objects.map((object) => fileScheduler.run(async () => {
+    const fileName = path.resolve(destDir, object.Key.slice(dirPrefix.length));
+    await FileUtil.makeDir(path.dirname(fileName));
+
+    console.log(`Downloading Object: ${object.Key} (${object.Size} Bytes)`);
+    const fileStartTime = Date.now();
+    try {
+      await s3.pipeS3Object(bucket, object.Key, FileUtil.createWriteStream(fileName));
+    } catch (e) {
+      EventLog.write('fileFailed', {key: object.Key, error: e.message, code: e.code, duration: Date.now() - fileStartTime});
+      throw e;
+    }
+    EventLog.write('fileFinished', {
+      key: object.Key,
+      file: fileName,
+      size: object.Size,
+      etag: object.ETag,
+      duration: Date.now() - fileStartTime
+    });
+    console.group();
+    console.log(`Finished Downloading Object: ${object.Key}`);
+    console.groupEnd();
+  })));
+  console.groupEnd();
+  console.log('\nFinished Downloading Objects!');
+  EventLog.write('runSummary', {
+    files: objects.length,
+    bytes: objects.reduce((acc, object) => acc + object.Size, 0),
+    duration: Date.now() - startTime
+  });
+
+  console.groupEnd();
+  console.log('Download complete! Total Time Elapsed:');
+  console.timeEnd('Total Time');
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
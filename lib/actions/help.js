@@ -11,21 +11,111 @@ Command Structure:
 Arguments
 - action:
   Will run a pre-defined action
-  Valid options are: 'upload', 'help'
+  Valid options are: 'upload', 'download', 'sync', 'ls', 'rm', 'cp', 'mv',
+                     'verify', 'cat', 'deploy', 'presign', 'help'
 
 - args:
   Arguments that will be passed to given action function
 
 Options:
   -h, --help {flag} Print help text for the given action
+  --output {string} Output format, either "text" or "ndjson". The "ndjson"
+                    format writes one JSON event per line to stdout, such as
+                    "runStart", "fileQueued", "multipartCreated",
+                    "partCompleted", "fileFinished", "fileFailed", and
+                    "runSummary". All other output is written to stderr
+                      Default: text
+  --profile {string} Name of the settings file profile to use
+  --aws-profile {string}
+                    Name of the AWS profile to read credentials from, in the
+                    shared AWS credentials and config files
+  --endpoint {string}
+                    URL of an S3 compatible store to use instead of AWS, such
+                    as MinIO or LocalStack
+  --force-path-style {flag}
+                    Flag will put bucket names in the URL path instead of the
+                    host name. Most S3 compatible stores require this
+  --no-verify-ssl {flag}
+                    Flag will skip verification of TLS certificates
+  --ca-bundle {string}
+                    Path of a PEM file of certificate authorities to trust
+
+Settings Files:
+  Default settings can be stored in a ".simplys3rc.json" file in the project
+  directory (or any parent directory) and in the home directory. Settings are
+  taken from command line options first, then environment variables, then the
+  project file, then the home directory file, then the built in defaults:
+    {
+      "partSize": 67108864,
+      "maxFiles": 5,
+      "maxParts": 10,
+      "maxAttempts": 5,
+      "checksum": "sha256",
+      "region": "us-east-1",
+      "awsProfile": "deploy",
+      "endpoint": "https://s3.example.com",
+      "forcePathStyle": true,
+      "verifySsl": true,
+      "caBundle": "./ca.pem",
+      "sse": "aws:kms",
+      "sseKmsKeyId": "alias/my-key",
+      "storageClass": "STANDARD_IA",
+      "acl": "bucket-owner-full-control",
+      "tags": {"project": "website"},
+      "metadata": {"build": "1234"},
+      "compress": "gzip",
+      "include": ["*.html"],
+      "exclude": ["*.map"],
+      "rules": "./rules.json",
+      "transforms": [{"match": "*.html", "module": "./transforms/env.js"}],
+      "deploySwitch": "entrypoints",
+      "entrypoints": ["index.html", "404.html"],
+      "keepReleases": 5,
+      "profiles": {
+        "production": {"region": "us-west-2"}
+      }
+    }
+  Settings in a profile take priority over the other settings in the same file
 
 Environment Variables:
-  The following environment variables are used to access S3. If these variables
-  are not present, the CLI will ask you for their values
+  The following environment variables are used to access S3. If credentials are
+  not present, they are read from the shared AWS credentials file
+  (~/.aws/credentials) and config file (~/.aws/config). If they still cannot be
+  found, the CLI will ask you for their values
 
   - AWS_ACCESS_KEY_ID       Your AWS Access Key ID
   - AWS_SECRET_ACCESS_KEY   Your AWS Secret Access Key
+  - AWS_SESSION_TOKEN       Session token, for temporary credentials
   - AWS_DEFAULT_REGION      The region being accessed
+  - AWS_REGION              The region being accessed, if AWS_DEFAULT_REGION
+                            is not set
+  - AWS_PROFILE             Name of the AWS profile to read credentials from,
+                            if the access key envars are not set
+  - AWS_SHARED_CREDENTIALS_FILE
+                            Location of the shared AWS credentials file
+  - AWS_CONFIG_FILE         Location of the shared AWS config file
+
+  The following environment variables override settings files:
+
+  - SIMPLYS3_PROFILE        Name of the settings file profile to use
+  - SIMPLYS3_PART_SIZE      Same as the "partSize" setting
+  - SIMPLYS3_MAX_FILES      Same as the "maxFiles" setting
+  - SIMPLYS3_MAX_PARTS      Same as the "maxParts" setting
+  - SIMPLYS3_MAX_ATTEMPTS   Same as the "maxAttempts" setting
+  - SIMPLYS3_CHECKSUM       Same as the "checksum" setting
+  - SIMPLYS3_ENDPOINT       Same as the "endpoint" setting
+  - SIMPLYS3_FORCE_PATH_STYLE
+                            Same as the "forcePathStyle" setting
+  - SIMPLYS3_VERIFY_SSL     Same as the "verifySsl" setting
+  - AWS_CA_BUNDLE           Same as the "caBundle" setting
+  - SIMPLYS3_SSE            Same as the "sse" setting
+  - SIMPLYS3_SSE_KMS_KEY_ID Same as the "sseKmsKeyId" setting
+  - SIMPLYS3_SSE_C_KEY_FILE Same as the "sseCustomerKeyFile" setting
+  - SIMPLYS3_STORAGE_CLASS  Same as the "storageClass" setting
+  - SIMPLYS3_ACL            Same as the "acl" setting
+  - SIMPLYS3_COMPRESS       Same as the "compress" setting
+  - SIMPLYS3_DEPLOY_SWITCH  Same as the "deploySwitch" setting
+  - SIMPLYS3_KEEP_RELEASES  Same as the "keepReleases" setting
 `;
 
 const exec = async () => {
@@ -0,0 +1,133 @@
+'use strict';
+
+const CliUtil = require('../utils/cli-util.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+const help = `
+Simply S3 v${version} Help
+Action: ls
+
+This action will list the objects in a bucket
+
+Command Structure:
+  $ simplys3 ls <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket to list, plus an optional prefix that listed objects must begin
+    with. Note that paths must be "unix" style
+      Example:
+        $ simplys3 ls mybucket/my/sub/directory/
+        Will list everything in the "my/sub/directory" path within "mybucket"
+
+Options:
+  --region {string}     Region of the bucket
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  -l {flag}             Flag will list the size, last modified time, storage
+                        class, and ETag of each object
+  -r, --recursive {flag}
+                        Flag will list every object under the prefix, instead of
+                        grouping objects in sub directories together
+  --human {flag}        Flag will print sizes in human readable units
+  --json {flag}         Flag will print results as JSON
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+`;
+
+/**
+ * Formats a list of rows into aligned columns
+ *
+ * @param {Array.<string[]>} rows Array of rows, each an array of column values
+ * @param {number[]} [rightAlign] Optional: Indexes of columns that should be right aligned
+ *
+ * @return {string[]} Array of formatted lines
+ */
+const formatColumns = (rows, rightAlign = []) => {
+  const widths = [];
+  rows.forEach((row) => {
+    row.forEach((value, i) => {
+      widths[i] = Math.max(widths[i] || 0, value.length);
+    });
+  });
+
+  return rows.map((row) => {
+    return row.map((value, i) => {
+      // The last column is never padded
+      if (i === row.length - 1) return value;
+      if (rightAlign.includes(i)) return value.padStart(widths[i]);
+      return value.padEnd(widths[i]);
+    }).join('  ');
+  });
+};
+
+const exec = async (args) => {
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const recursive = args.opts.r || args.opts.recursive;
+  const envars = await CliUtil.getEnvars(args);
+
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  const {objects, prefixes} = await s3.listS3Contents(bucket, prefix, recursive ? null : '/');
+
+  if (EventLog.enabled) {
+    prefixes.forEach((commonPrefix) => EventLog.write('prefix', {prefix: commonPrefix}));
+    objects.forEach((object) => {
+      EventLog.write('object', {
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        storageClass: object.StorageClass,
+        etag: object.ETag
+      });
+    });
+    EventLog.write('runSummary', {objects: objects.length, prefixes: prefixes.length});
+    return;
+  }
+
+  if (args.opts.json) {
+    const result = {
+      prefixes,
+      objects: objects.map((object) => ({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        storageClass: object.StorageClass,
+        etag: object.ETag
+      }))
+    };
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  // Non-recursive listings show names relative to the "directory" being listed
+  const baseLength = recursive ? 0 : prefix.lastIndexOf('/') + 1;
+  const formatSize = (size) => args.opts.human ? CliUtil.formatBytes(size) : `${size}`;
+
+  if (!args.opts.l) {
+    prefixes.forEach((commonPrefix) => console.log(commonPrefix.slice(baseLength)));
+    objects.forEach((object) => console.log(object.Key.slice(baseLength)));
+    return;
+  }
+
+  const rows = prefixes.map((commonPrefix) => ['', 'PRE', '', '', commonPrefix.slice(baseLength)]);
+  objects.forEach((object) => {
+    rows.push([
+      object.LastModified.toISOString(),
+      formatSize(object.Size),
+      object.StorageClass,
+      object.ETag,
+      object.Key.slice(baseLength)
+    ]);
+  });
+  formatColumns(rows, [1]).forEach((line) => console.log(line));
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
@@ -0,0 +1,63 @@
+'use strict';
+
+const {transfer} = require('./cp.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: mv
+
+This action will move objects within S3. Objects are copied by S3 directly, and
+each source object is only deleted once its copy has been confirmed. Metadata,
+storage class, and tags are kept, but ACLs are not
+
+Command Structure:
+  $ simplys3 mv <source_path> <dest_path>
+
+Arguments:
+  - source_path:
+    The bucket to move from, plus the key of the object to move. With the
+    --recursive flag, every object in this path will be moved instead
+  - dest_path:
+    The bucket to move to, plus the new key of the object. If the key ends with
+    a "/", or the --recursive flag is used, this is the path objects are moved
+    into. Note that paths must be "unix" style
+      Example:
+        $ simplys3 mv mybucket/staging/ otherbucket/release/ --recursive
+        Will move everything in the "staging" path of "mybucket" to the "release"
+        path of "otherbucket"
+
+Options:
+  --region {string}     Region of the buckets
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  -r, --recursive {flag}
+                        Flag will move every object in the source path
+  --max-files {number}  Maximum number of objects to move at once
+                          Default: ${config.MAX_CONCURRENT_FILES}
+  --max-parts {number}  Maximum number of copy requests to run at once. Objects
+                        larger than ${config.MAX_COPY_BYTES} Bytes are copied in parts
+                          Default: ${config.MAX_CONCURRENT}
+  --sse {string}        Server-side encryption for the new objects, either
+                        "AES256" or "aws:kms"
+  --sse-kms-key-id {string}
+                        ID or ARN of the KMS key used with "--sse=aws:kms"
+  --sse-c-key-file {string}
+                        Path of a file containing the 256-bit key the source
+                        objects were encrypted with (SSE-C). The new objects are
+                        encrypted with the same key
+  --dry-run {flag}      Flag will print what would be moved without making any
+                        changes in S3
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+`;
+
+const exec = async (args) => {
+  return transfer(args, true);
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
@@ -0,0 +1,130 @@
+'use strict';
+
+const CliUtil = require('../utils/cli-util.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: presign
+
+This action will create presigned URLs for an object. Anyone with a presigned
+URL can download or upload the object without credentials until it expires
+
+Command Structure:
+  $ simplys3 presign <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket containing the object, plus the key of the object. Note that
+    paths must be "unix" style
+      Example:
+        $ simplys3 presign mybucket/reports/q3.pdf --expires=86400
+        Will create a download link for "reports/q3.pdf" that lasts one day
+
+Options:
+  --region {string}     Region of the bucket
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  --expires {number}    Number of seconds the URLs are valid for, up to 604800
+                        (7 days). URLs made with temporary credentials stop
+                        working when the credentials expire
+                          Default: ${config.PRESIGN_EXPIRES}
+  --method {string}     Request the URL is for, either "GET" to download the
+                        object or "PUT" to upload it
+                          Default: GET
+  --multipart {number}  Create a multi-part upload, and a URL to upload each of
+                        this many parts. Every part except the last must be at
+                        least 5 MiB. The upload is printed as JSON, with the URLs
+                        used to complete or abort the upload:
+                          {"uploadId": "...", "expires": "...",
+                           "parts": [{"partNumber": 1, "url": "..."}, ...],
+                           "complete": {"method": "POST", "url": "..."},
+                           "abort": {"method": "DELETE", "url": "..."}}
+                        Each part is uploaded with a PUT request, and S3 responds
+                        with the part's ETag header. The upload is completed with
+                        a POST request with a body listing every part:
+                          <CompleteMultipartUpload>
+                            <Part><PartNumber>1</PartNumber><ETag>"..."</ETag></Part>
+                          </CompleteMultipartUpload>
+                        Browsers can only read the ETag header if the bucket's
+                        CORS configuration exposes it
+  --sse {string}        Server-side encryption for the object created by
+                        "--multipart", either "AES256" or "aws:kms". Objects
+                        uploaded with a single PUT use the bucket's default
+                        encryption
+  --sse-kms-key-id {string}
+                        ID or ARN of the KMS key used with "--sse=aws:kms"
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+
+Only the URLs are written to stdout, all other output is written to stderr
+`;
+
+const exec = async (args) => {
+  // URLs are the only thing written to stdout
+  EventLog.redirect();
+
+  const {bucket, prefix: objectKey} = CliUtil.parseBucketPath(args.args[1]);
+  if (!objectKey || objectKey.endsWith('/')) {
+    throw new Error('An object key must be provided (<bucket>/<key>)');
+  }
+
+  const expires = args.opts.expires ? parseInt(args.opts.expires, 10) : config.PRESIGN_EXPIRES;
+  const method = args.opts.multipart ? 'PUT' : (args.opts.method || 'GET').toUpperCase();
+  const expiresAt = new Date(Date.now() + expires * 1000).toISOString();
+
+  const envars = await CliUtil.getEnvars(args);
+  const s3 = await CliUtil.createS3(args, envars);
+
+  // Customer provided keys must be sent with every request, so they can't be given
+  // to whoever is using the URLs
+  if (s3.encryption && s3.encryption.customerKey) {
+    throw new Error('Presigned URLs can not be used with SSE-C');
+  }
+
+  if (!args.opts.multipart) {
+    const operation = method === 'PUT' ? 'putObject' : 'getObject';
+    const url = await s3.getSignedUrl(operation, {Bucket: bucket, Key: objectKey}, expires);
+    console.log(`${method} URL for ${bucket}/${objectKey}, valid until ${expiresAt}:`);
+    if (EventLog.enabled) {
+      EventLog.write('urlPresigned', {key: objectKey, method, url, expires: expiresAt});
+    } else {
+      process.stdout.write(`${url}\n`);
+    }
+    return;
+  }
+
+  const partCount = parseInt(args.opts.multipart, 10);
+  console.log(`Creating Multi-Part Upload for ${bucket}/${objectKey}...`);
+  const {UploadId: uploadId} = await s3.createMultipartUpload(bucket, objectKey);
+
+  const params = {Bucket: bucket, Key: objectKey, UploadId: uploadId};
+  const upload = {bucket, key: objectKey, uploadId, expires: expiresAt, parts: []};
+  try {
+    for (let i=1; i<=partCount; i++) {
+      const url = await s3.getSignedUrl('uploadPart', Object.assign({PartNumber: i}, params), expires);
+      upload.parts.push({partNumber: i, url});
+    }
+    upload.complete = {method: 'POST', url: await s3.getSignedUrl('completeMultipartUpload', params, expires)};
+    upload.abort = {method: 'DELETE', url: await s3.getSignedUrl('abortMultipartUpload', params, expires)};
+  } catch (e) {
+    // Nobody will ever have the URLs to finish the upload
+    await s3.abortMultipartUpload(bucket, objectKey, uploadId);
+    throw e;
+  }
+
+  console.log(`Created ${partCount} part URLs, valid until ${expiresAt}`);
+  console.log('Uploads that are never completed or aborted are stored (and billed) until they are aborted');
+  if (EventLog.enabled) {
+    EventLog.write('multipartPresigned', upload);
+  } else {
+    process.stdout.write(`${JSON.stringify(upload, null, 2)}\n`);
+  }
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
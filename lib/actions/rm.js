@@ -0,0 +1,118 @@
+'use strict';
+
+const CliUtil = require('../utils/cli-util.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+const help = `
+Simply S3 v${version} Help
+Action: rm
+
+This action will delete an object, or every object under a bucket path
+
+Command Structure:
+  $ simplys3 rm <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket to delete from, plus the key of the object to delete. With the
+    --recursive flag, every object in this path will be deleted instead. Note
+    that paths must be "unix" style
+      Example:
+        $ simplys3 rm mybucket/my/sub/directory --recursive
+        Will delete everything in the "my/sub/directory" path within "mybucket"
+
+Options:
+  --region {string}     Region of the bucket
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  -r, --recursive {flag}
+                        Flag will delete every object in the bucket path
+  -y, --yes {flag}      Flag will skip the confirmation prompt
+  --dry-run {flag}      Flag will print what would be deleted without making any
+                        changes in S3
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined. Also skips the confirmation prompt
+`;
+
+const exec = async (args) => {
+  console.log('Beginning rm action...');
+  console.group();
+
+  // Separate the bucket from the path
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const recursive = args.opts.r || args.opts.recursive;
+  if (!recursive && !prefix) {
+    throw new Error('An object key must be provided. Use --recursive to delete a whole bucket path');
+  }
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log('\nVerifying Bucket State...');
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  console.log('\nGathering Objects...');
+  let keys = [];
+  if (recursive) {
+    // Only objects within the "directory" of the prefix are deleted
+    const dirPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    await s3.listS3Pages(bucket, dirPrefix, null, (page) => {
+      keys = keys.concat(page.objects.map((object) => object.Key));
+    });
+  } else if (await s3.headS3Object(bucket, prefix)) {
+    keys.push(prefix);
+  }
+  console.log(`Found ${keys.length} Objects`);
+
+  if (!keys.length) {
+    console.groupEnd();
+    console.log('Nothing to delete');
+    EventLog.write('runSummary', {deleted: 0, failed: 0});
+    return;
+  }
+
+  if (args.opts['dry-run']) {
+    console.log('\nObjects to Delete (dry run, nothing will be changed):');
+    console.group();
+    keys.forEach((key) => console.log(key));
+    console.groupEnd();
+    console.groupEnd();
+    console.log('Dry run complete!');
+    EventLog.write('runSummary', {dryRun: true, deleted: keys.length});
+    return;
+  }
+
+  const confirmed = await CliUtil.confirm(args, `\nDelete ${keys.length} objects from "${bucket}"?`);
+  if (!confirmed) {
+    console.groupEnd();
+    console.log('Delete cancelled');
+    EventLog.write('runSummary', {cancelled: true, deleted: 0, failed: 0});
+    return;
+  }
+
+  console.log('\nDeleting Objects...');
+  const res = await s3.deleteS3Objects(bucket, keys);
+  console.group();
+  res.Deleted.forEach((object) => EventLog.write('objectDeleted', {key: object.Key}));
+  res.Errors.forEach((err) => {
+    console.error(`Failed to delete ${err.Key}: ${err.Code} ${err.Message}`);
+    EventLog.write('deleteFailed', {key: err.Key, error: err.Message, code: err.Code});
+  });
+  console.log(`Deleted: ${res.Deleted.length}`);
+  console.log(`Failed: ${res.Errors.length}`);
+  console.groupEnd();
+  EventLog.write('runSummary', {deleted: res.Deleted.length, failed: res.Errors.length});
+
+  console.groupEnd();
+  if (res.Errors.length) {
+    throw new Error(`Failed to delete ${res.Errors.length} objects`);
+  }
+  console.log('Delete complete!');
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
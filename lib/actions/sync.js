@@ -0,0 +1,301 @@
+'use strict';
+
+const path = require('path');
+
+const CliUtil = require('../utils/cli-util.js');
+const FileUtil = require('../utils/file-util.js');
+const ResumeState = require('../utils/resume-state.js');
+const Scheduler = require('../utils/scheduler.js');
+const Progress = require('../utils/progress.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: sync
+
+This action will upload only the files in the current directory that are new or
+have changed since they were last uploaded to S3
+
+Files are compared with the objects already in S3 using their size, their last
+modified time, and finally their ETag. ETags depend on the part size objects were
+uploaded with, so files that have been modified since they were uploaded with a
+different "--max", or encrypted with "--sse=aws:kms" or "--sse-c-key-file", are
+always uploaded again
+
+Command Structure:
+  $ simplys3 sync <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket to sync data to, plus the path within the bucket data should be
+    stored in. Note that paths must be "unix" style
+      Example:
+        $ simplys3 sync mybucket/my/sub/directory
+        Will sync data to the "my/sub/directory" path within "mybucket"
+
+Options:
+  --region {string}     Region to sync data to
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  --max {number}        Part size in Bytes. Any files greater than this size
+                        will be uploaded using the "multi-part" paradigm. Must
+                        be at least 5242880 (5 MiB)
+                          Default: ${config.MAX_BYTES} Bytes
+  --source {string}     Directory to sync to S3
+                          Default: . (the current directory)
+  --include {string}    Only upload files matching this glob pattern. May be
+                        provided more than once
+  --exclude {string}    Do not upload files or directories matching this glob
+                        pattern. May be provided more than once. Patterns follow
+                        the same rules as a ".s3ignore" file, which is also read
+                        from the source directory if present
+  --delete {flag}       Flag will delete any objects within the bucket path that
+                        no longer exist in the source directory. Objects matching
+                        excluded patterns and "folder" objects (keys ending in
+                        "/") are never deleted
+  --rules {string}      Path of a JSON rules file that sets headers, storage
+                        class, ACL, tags, and metadata for files matching glob
+                        patterns. For example:
+                          [{"match": "*.html", "headers": {"Cache-Control": "no-cache"}},
+                           {"match": "logs/**", "storageClass": "STANDARD_IA",
+                            "tags": {"retention": "90d"}, "metadata": {"build": "12"}}]
+                        Supported headers are Cache-Control, Content-Disposition,
+                        Content-Language, and Content-Type. The Content-Type is
+                        otherwise detected from the file extension. Rules take
+                        priority over the options below
+  --storage-class {string}
+                        Storage class of uploaded objects, such as "STANDARD_IA"
+                        or "GLACIER_IR"
+                          Default: STANDARD
+  --acl {string}        Canned ACL of uploaded objects, such as "public-read" or
+                        "bucket-owner-full-control"
+  --tag {string}        Tag to add to uploaded objects, in the form
+                        --tag=<key>=<value> or --tag <key>=<value>. May be
+                        provided more than once
+  --meta {string}       User metadata to add to uploaded objects, in the form
+                        --meta=<key>=<value> or --meta <key>=<value>. May be
+                        provided more than once
+  --max-files {number}  Maximum number of files to upload at once
+                          Default: ${config.MAX_CONCURRENT_FILES}
+  --max-parts {number}  Maximum number of upload requests (parts of large files,
+                        or whole small files) to run at once across all files
+                          Default: ${config.MAX_CONCURRENT}
+  --no-resume {flag}    Flag will abort multi-part uploads that fail instead of
+                        saving their progress so they can be resumed
+  --max-attempts {number}
+                        Maximum number of times a request will be attempted.
+                        Requests that fail for transient reasons are retried
+                        with exponential backoff
+                          Default: ${config.MAX_ATTEMPTS}
+  --checksum {string}   Additional checksum sent with uploaded data, either
+                        "sha256" or "crc32c". Data is always sent with an MD5
+                        checksum, and S3 rejects any data that does not match
+  --sse {string}        Server-side encryption for uploaded objects, either
+                        "AES256" or "aws:kms"
+  --sse-kms-key-id {string}
+                        ID or ARN of the KMS key used with "--sse=aws:kms"
+  --sse-c-key-file {string}
+                        Path of a file containing a 256-bit key that objects are
+                        encrypted with by S3 (SSE-C)
+  --dry-run {flag}      Flag will print what would be uploaded without making
+                        any changes in S3
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+`;
+
+/**
+ * Determines if a local file needs to be uploaded to replace a remote object
+ *
+ * @param {S3} s3 S3 instance the object is read with
+ * @param {string} bucket Name of the bucket the object is in
+ * @param {string} fileName Full path of the local file
+ * @param {fs.Stats} stats Stats of the local file
+ * @param {object} object Description of the remote object, from S3.listS3Objects
+ * @param {number} partSize Number of Bytes in each part of a multi-part upload
+ *
+ * @return {Promise} Resolves with `true` if the file should be uploaded
+ */
+const hasChanged = async (s3, bucket, fileName, stats, object, partSize) => {
+  // Different sizes always means a change
+  if (stats.size !== object.Size) return true;
+
+  // If the file has not been modified since the object was uploaded it can't
+  // have changed
+  if (stats.mtime <= object.LastModified) return false;
+
+  // The ETag can only be calculated again if the object was uploaded with the same
+  // number of parts, which depends on the part size
+  const etag = object.ETag.replace(/"/g, '');
+  const partCount = etag.includes('-') ? parseInt(etag.split('-')[1], 10) : 1;
+  const expectedParts = stats.size < partSize ? 1 : Math.ceil(stats.size / partSize);
+  if (partCount !== expectedParts) return true;
+
+  // The ETags of objects encrypted with a KMS or customer provided key are not
+  // hashes of their contents
+  const head = await s3.headS3Object(bucket, object.Key);
+  if (!head || head.SSECustomerAlgorithm || head.ServerSideEncryption === 'aws:kms') return true;
+
+  // Otherwise compare the contents of the file with the object ETag
+  return etag !== await FileUtil.getEtag(fileName, partSize);
+};
+
+const exec = async (args) => {
+  console.log('Beginning sync action...');
+  console.time('Total Time');
+  const startTime = Date.now();
+  console.group();
+
+  // Get all required variables
+  let sourceDir = process.cwd();
+  if (args.opts.source) {
+    sourceDir = path.join(sourceDir, args.opts.source);
+  }
+
+  // Separate the bucket from the path
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log(`\nConfiguration complete`);
+  console.group();
+  console.log(`Source Directory: ${sourceDir}`);
+  console.log(`Target Region: ${envars.AWS_DEFAULT_REGION}`);
+  console.log(`Target Bucket: ${bucket}`);
+  if (prefix) console.log(`Target Path: ${prefix}`);
+  console.groupEnd();
+
+  console.log('\nVerifying Bucket State...');
+  const {maxFiles} = CliUtil.getConcurrency(args);
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  console.log('\nGathering Files...');
+  const pathFilter = await CliUtil.getPathFilter(args, sourceDir);
+  const files = await FileUtil.getDirRecursive(sourceDir, (relPath, isDir) => pathFilter.test(relPath, isDir));
+
+  // Only objects within the "directory" of the prefix are compared
+  const dirPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+  const objects = {};
+  (await s3.listS3Objects(bucket, dirPrefix)).forEach((object) => {
+    objects[object.Key] = object;
+  });
+
+  console.log('\nComparing Files...');
+  console.group();
+  const uploads = [];
+  const localKeys = {};
+  let skipped = 0;
+  for (let i=0; i<files.length; i++) {
+    const fileName = files[i];
+    const fileKey = CliUtil.getObjectKey(sourceDir, fileName, prefix);
+    localKeys[fileKey] = true;
+
+    const stats = await FileUtil.getStats(fileName);
+    const object = objects[fileKey];
+    if (!object) {
+      console.log(`${fileName} [New]`);
+    } else if (await hasChanged(s3, bucket, fileName, stats, object, args.settings.partSize)) {
+      console.log(`${fileName} [Changed]`);
+    } else {
+      skipped += 1;
+      continue;
+    }
+
+    uploads.push({fileName, fileKey, size: stats.size});
+    EventLog.write('fileQueued', {key: fileKey, file: fileName, size: stats.size});
+  }
+  console.groupEnd();
+
+  // Objects that would have been excluded from the upload are left alone, as are
+  // "folder" placeholders, which never have a local file
+  let extraKeys = [];
+  if (args.opts.delete) {
+    extraKeys = Object.keys(objects).filter((key) => {
+      return !localKeys[key] && !key.endsWith('/') && pathFilter.accepts(key.slice(dirPrefix.length));
+    });
+  }
+
+  if (args.opts['dry-run']) {
+    CliUtil.printUploadPlan(s3, uploads, extraKeys);
+    console.log(`Files Skipped: ${skipped}`);
+    EventLog.write('runSummary', {dryRun: true, uploaded: uploads.length, skipped, deleted: extraKeys.length});
+
+    console.groupEnd();
+    console.log('Dry run complete! Total Time Elapsed:');
+    console.timeEnd('Total Time');
+    return;
+  }
+
+  // Load settings for individual objects
+  const objectRules = await CliUtil.getObjectRules(args);
+
+  // Unless disabled, keep track of multi-part uploads so they can be resumed
+  let resumeState = null;
+  if (!args.opts['no-resume']) {
+    resumeState = new ResumeState();
+    await resumeState.load();
+  }
+
+  console.log('\nUploading Files...');
+  const progress = new Progress({
+    totalBytes: uploads.reduce((acc, upload) => acc + upload.size, 0),
+    totalFiles: uploads.length
+  });
+  progress.start(s3);
+  EventLog.attach(s3);
+  const fileScheduler = new Scheduler(maxFiles);
+  let results;
+  try {
+    results = await Promise.all(uploads.map((upload) => fileScheduler.run(() => {
+      const params = objectRules.getParams(CliUtil.getObjectKey(sourceDir, upload.fileName, ''));
+      return s3.putS3File(upload.fileName, bucket, upload.fileKey, {resumeState, params});
+    })));
+  } finally {
+    progress.stop();
+  }
+
+  let deleted = 0;
+  if (args.opts.delete) {
+    console.log('\nDeleting Extra Objects...');
+    console.group();
+    extraKeys.forEach((key) => console.log(key));
+
+    const res = await s3.deleteS3Objects(bucket, extraKeys);
+    deleted = res.Deleted.length;
+    res.Deleted.forEach((object) => EventLog.write('objectDeleted', {key: object.Key}));
+    res.Errors.forEach((err) => {
+      console.error(`Failed to delete ${err.Key}: ${err.Message}`);
+      EventLog.write('deleteFailed', {key: err.Key, error: err.Message, code: err.Code});
+    });
+    console.groupEnd();
+  }
+
+  if (uploads.length) {
+    console.log('\nEncryption:');
+    console.group();
+    uploads.forEach((upload, i) => console.log(`${upload.fileKey}: ${s3.describeEncryption(results[i])}`));
+    console.groupEnd();
+  }
+
+  console.log('\nSummary:');
+  console.group();
+  console.log(`Uploaded: ${uploads.length}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Deleted: ${deleted}`);
+  console.groupEnd();
+  EventLog.write('runSummary', {uploaded: uploads.length, skipped, deleted, duration: Date.now() - startTime});
+
+  console.groupEnd();
+  console.log('Sync complete! Total Time Elapsed:');
+  console.timeEnd('Total Time');
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
@@ -2,70 +2,29 @@
 
 const path = require('path');
 
-const S3 = require('../utils/s3.js');
-const Input = require('../utils/input.js');
+const CliUtil = require('../utils/cli-util.js');
 const FileUtil = require('../utils/file-util.js');
+const ResumeState = require('../utils/resume-state.js');
+const Scheduler = require('../utils/scheduler.js');
+const Progress = require('../utils/progress.js');
+const EventLog = require('../utils/event-log.js');
+const Compression = require('../utils/compression.js');
 
 const {version} = require('../../package.json');
 
 // Get configuration
 const config = require('../../config/s3-config.js');
 
-const getEnvars = async (args) => {
-// Get envars and check to see if we are missing anything
-  const envars = {
-    AWS_ACCESS_KEY_ID: process.env.AWS_ACCESS_KEY_ID,
-    AWS_SECRET_ACCESS_KEY: process.env.AWS_SECRET_ACCESS_KEY,
-    AWS_DEFAULT_REGION: args.opts.region || process.env.AWS_DEFAULT_REGION
-  };
-  const envarKeys = Object.keys(envars);
-  let input;
-  for (let i=0; i<envarKeys.length; i++) {
-    const key = envarKeys[i];
-    const val = envars[key];
-
-    // No need to do anything if there is already a value
-    if (val) continue;
-
-    // Error if the value is undefined and the -nocli flag is being used
-    if (args.opts.n || args.opts.nocli) {
-      throw new Error(`Missing "${key}" envar in no cli mode`);
-    }
-
-    // Otherwise open a readline interface to interact with the user
-    if (!input) {
-      console.log('Missing variables detected...');
-      input = new Input({
-        input: process.stdin,
-        output: process.stdout
-      });
-    }
-
-    // Don't mute the region input
-    let askString = `\nPlease provide a value for "${key}"`;
-    let hide = false;
-    if (key !== 'AWS_DEFAULT_REGION') {
-      askString += ' (input will be hidden)';
-      hide = true;
-    }
-
-    envars[key] = await input.ask(askString, hide);
-  }
-  if (input) {
-    input.close();
-    console.log('\nThank you. Continuing operation...');
-  }
-  return envars;
-};
-
 const help = `
 Simply S3 v${version} Help
 Action: upload
 
-This action will upload the current directory to S3
+This action will upload the current directory to S3, or data piped to stdin to
+a single object
 
 Command Structure:
   $ simplys3 upload <bucket_path>
+  $ <command> | simplys3 upload - <bucket_path>
 
 Arguments:
   - bucket_path:
@@ -74,110 +33,340 @@ Arguments:
       Example: 
         $ simplys3 upload mybucket/my/sub/directory
         Will upload data to the "my/sub/directory" path within "mybucket"
+  - -:
+    Upload data piped to stdin instead of a directory. The bucket path is the
+    key of the object the data is uploaded to. The size of the data does not
+    need to be known: data smaller than the part size is uploaded with a single
+    request, and anything larger is uploaded in parts. No more than the part
+    size multiplied by --max-parts Bytes are held in memory at once. Missing
+    envars can not be prompted for, and uploads can not be resumed
+      Example:
+        $ pg_dump mydb | simplys3 upload - mybucket/backups/db.sql
+        Will upload the output of pg_dump to the "backups/db.sql" object
 
 Options:
   --region {string}     Region to upload data to
                           Default: Defined by envar AWS_DEFAULT_REGION
-  --max {string}        Maximum upload size in Bytes. Any files greater than this
-                        size will be uploaded using the "multi-part" paradigm
+  --max {number}        Part size in Bytes. Any files greater than this size
+                        will be uploaded using the "multi-part" paradigm. Must
+                        be at least 5242880 (5 MiB)
                           Default: ${config.MAX_BYTES} Bytes
-  --source {string}     Directory to upload to S3
+  --source {string}     Directory to upload to S3. A source of "-" uploads stdin,
+                        the same as the "-" argument
                           Default: . (the current directory)
+  --include {string}    Only upload files matching this glob pattern. May be
+                        provided more than once
+  --exclude {string}    Do not upload files or directories matching this glob
+                        pattern. May be provided more than once. Patterns follow
+                        the same rules as a ".s3ignore" file, which is also read
+                        from the source directory if present
+  --rules {string}      Path of a JSON rules file that sets headers, storage
+                        class, ACL, tags, and metadata for files matching glob
+                        patterns. For example:
+                          [{"match": "*.html", "headers": {"Cache-Control": "no-cache"}},
+                           {"match": "logs/**", "storageClass": "STANDARD_IA",
+                            "tags": {"retention": "90d"}, "metadata": {"build": "12"}}]
+                        Supported headers are Cache-Control, Content-Disposition,
+                        Content-Language, and Content-Type. The Content-Type is
+                        otherwise detected from the file extension. Rules take
+                        priority over the options below
+  --storage-class {string}
+                        Storage class of uploaded objects, such as "STANDARD_IA"
+                        or "GLACIER_IR"
+                          Default: STANDARD
+  --acl {string}        Canned ACL of uploaded objects, such as "public-read" or
+                        "bucket-owner-full-control"
+  --tag {string}        Tag to add to uploaded objects, in the form
+                        --tag=<key>=<value> or --tag <key>=<value>. May be
+                        provided more than once
+  --meta {string}       User metadata to add to uploaded objects, in the form
+                        --meta=<key>=<value> or --meta <key>=<value>. May be
+                        provided more than once
+  --max-files {number}  Maximum number of files to upload at once
+                          Default: ${config.MAX_CONCURRENT_FILES}
+  --max-parts {number}  Maximum number of upload requests (parts of large files,
+                        or whole small files) to run at once across all files
+                          Default: ${config.MAX_CONCURRENT}
+  --no-resume {flag}    Flag will abort multi-part uploads that fail instead of
+                        saving their progress. By default, progress is saved to
+                        "~/.simplys3-resume.json" and interrupted uploads will
+                        continue where they left off the next time the same
+                        unchanged file is uploaded
+  --max-attempts {number}
+                        Maximum number of times a request will be attempted.
+                        Requests that fail for transient reasons are retried
+                        with exponential backoff
+                          Default: ${config.MAX_ATTEMPTS}
+  --checksum {string}   Additional checksum sent with uploaded data, either
+                        "sha256" or "crc32c". Data is always sent with an MD5
+                        checksum, and S3 rejects any data that does not match
+  --sse {string}        Server-side encryption for uploaded objects, either
+                        "AES256" or "aws:kms". By default, the bucket's default
+                        encryption is used
+  --sse-kms-key-id {string}
+                        ID or ARN of the KMS key used with "--sse=aws:kms"
+                          Default: The AWS managed key for S3
+  --sse-c-key-file {string}
+                        Path of a file containing a 256-bit key that objects are
+                        encrypted with by S3 (SSE-C). The key is never stored by
+                        S3, and must be provided to read the objects again
+  --compress {string}   Compress text files as they are uploaded, with either
+                        "gzip" or "br" (brotli). The Content-Encoding of each
+                        compressed object is set, so browsers decompress them
+                        automatically. Empty files, and files that don't get
+                        smaller, are uploaded uncompressed. Compressed uploads
+                        can not be resumed.
+                        Compressed objects can not be checked by sync or verify
+  --dry-run {flag}      Flag will print what would be uploaded without making
+                        any changes in S3
   -n, --nocli {flag}    Flag will cause the process to fail if envars are not
                         defined
-  -m, --monitor {flag}  Flag will run memory monitoring
+  -m, --monitor {flag}  Flag will show memory usage along with upload progress
+
+Transforms:
+  Files can be changed as they are uploaded by plugins listed in the "transforms"
+  setting of a settings file, for example to replace placeholders or minify JSON.
+  Each plugin is a JS module that is given the files matching its glob patterns:
+    "transforms": [
+      {"match": "*.html", "module": "./transforms/env.js", "options": {"ENV": "prod"}},
+      {"match": ["*.json", "!package.json"], "module": "./transforms/minify.js"}
+    ]
+  See "lib/utils/transform-plugins.js" for how to write a plugin. Transformed
+  uploads can not be resumed, and transformed objects can not be checked by sync
+  or verify
 `;
 
-const exec = async (args) => {
+/**
+ * Uploads data piped to stdin to a single object
+ *
+ * @param {Args} args Processed arguments
+ * @param {string} bucketPath Bucket and key of the object to upload to
+ */
+const uploadStdin = async (args, bucketPath) => {
   console.log('Beginning upload action...');
   console.time('Total Time');
+  const startTime = Date.now();
   console.group();
 
-  let timeout;
-  if (args.opts.m || args.opts.monitor) {
-    // Set up a timer that will run every few seconds and let us know how much memory  we are using
-    timeout = setInterval(() => {
-      process.stdout.write(`-- Total Usage: ${(process.memoryUsage().rss / 1000 / 1000).toFixed(1)} MB -- \n`);
-    }, 2000);
+  const {bucket, prefix: fileKey} = CliUtil.parseBucketPath(bucketPath);
+  if (!fileKey || fileKey.endsWith('/')) {
+    throw new Error('An object key must be provided when uploading from stdin (<bucket>/<key>)');
   }
-
-  // Get all required variables
-  let sourceDir = process.cwd();
-  if (args.opts.source) {
-    sourceDir = path.join(sourceDir, args.opts.source);
+  if (process.stdin.isTTY) {
+    throw new Error('No data was piped to stdin');
   }
 
-  // Separate the bucket from the path
-  let bucket = args.args[1];
-  const pathIndex = bucket.indexOf('/');
-  let bucketPath = null;
-  if (pathIndex >= 0) {
-    bucketPath = bucket.slice(pathIndex);
-    bucket = bucket.slice(0, pathIndex);
-  }
-  const envars = await getEnvars(args);
+  // stdin is being uploaded, so it can't be used to ask for missing envars
+  const envars = await CliUtil.getEnvars(args, false);
 
   console.log(`\nConfiguration complete`);
   console.group();
-  console.log(`Source Directory: ${sourceDir}`);
+  console.log('Source: stdin');
   console.log(`Target Region: ${envars.AWS_DEFAULT_REGION}`);
   console.log(`Target Bucket: ${bucket}`);
+  console.log(`Target Key: ${fileKey}`);
   console.groupEnd();
-  if (bucketPath) console.log(`Target Path: ${bucketPath}`);
 
   console.log('\nVerifying Bucket State...');
-  const s3 = new S3({
-    accessKeyId: envars.AWS_ACCESS_KEY_ID,
-    secretAccessKey: envars.AWS_SECRET_ACCESS_KEY,
-    region: envars.AWS_DEFAULT_REGION
-  });
+  const s3 = await CliUtil.createS3(args, envars);
   try {
     await s3.headS3Bucket(bucket);
   } catch (e) {
     throw new Error('Requested S3 Bucket cannot be found or accessed');
   }
 
-  console.log('\nGathering Files...');
-  const files = await FileUtil.getDirRecursive(sourceDir);
-  const fileKeys = files.map((fileName) => {
-    const key = FileUtil.removeBasepath(sourceDir, fileName);
-    return path.join('.', (bucketPath || '/'), key);
+  if (args.opts['dry-run']) {
+    console.log(`\nWould upload stdin to ${fileKey}`);
+    EventLog.write('runSummary', {dryRun: true, files: 1, bytes: null});
+
+    console.groupEnd();
+    console.log('Dry run complete! Total Time Elapsed:');
+    console.timeEnd('Total Time');
+    return;
+  }
+
+  const objectRules = await CliUtil.getObjectRules(args);
+  const params = objectRules.getParams(fileKey);
+  EventLog.write('fileQueued', {key: fileKey, file: '-', size: null});
+
+  console.log('\nUploading stdin...');
+  const progress = new Progress({
+    totalFiles: 1,
+    showMemory: args.opts.m || args.opts.monitor
   });
-  const fileReadStreams = files.map((fileName) => FileUtil.createReadStream(fileName, {highWaterMark: 256 * 1024}));
+  progress.start(s3);
+  EventLog.attach(s3);
+  let res;
+  try {
+    res = await s3.putS3Stream(process.stdin, bucket, fileKey, null, {params});
+  } finally {
+    progress.stop();
+  }
+  console.log('\nFinished Uploading stdin!');
+
+  console.log('\nEncryption:');
+  console.group();
+  console.log(`${fileKey}: ${s3.describeEncryption(res)}`);
+  console.groupEnd();
+  EventLog.write('runSummary', {files: 1, bytes: progress.loaded, duration: Date.now() - startTime});
+
+  console.groupEnd();
+  console.log('Upload complete! Total Time Elapsed:');
+  console.timeEnd('Total Time');
+};
+
+/**
+ * Uploads the files in a directory, printing each file and the progress of the
+ * uploads. Shared by the `upload` and `deploy` actions
+ *
+ * @param {Args} args Processed arguments
+ * @param {S3} s3 S3 instance to upload with
+ * @param {string} sourceDir Directory to upload
+ * @param {string} bucket Name of the bucket to upload to
+ * @param {string} prefix Path within the bucket the files are uploaded to
+ *
+ * @return {Promise} Resolves with an object with `keys` (keys of the uploaded
+ *                   objects) and `bytes` (total size of the files) members. On a
+ *                   dry run, the files are only printed
+ */
+const uploadDir = async (args, s3, sourceDir, bucket, prefix) => {
+  console.log('\nGathering Files...');
+  const pathFilter = await CliUtil.getPathFilter(args, sourceDir);
+  const files = await FileUtil.getDirRecursive(sourceDir, (relPath, isDir) => pathFilter.test(relPath, isDir));
+  const fileKeys = files.map((fileName) => CliUtil.getObjectKey(sourceDir, fileName, prefix));
+
+  // Load settings for individual objects
+  const objectRules = await CliUtil.getObjectRules(args);
+  const transformPlugins = CliUtil.getTransformPlugins(args);
+
+  if (args.opts['dry-run']) {
+    const uploads = files.map((fileName, i) => ({
+      fileKey: fileKeys[i],
+      size: FileUtil.getStatsSync(fileName).size
+    }));
+    CliUtil.printUploadPlan(s3, uploads);
+    return {keys: fileKeys, bytes: uploads.reduce((acc, upload) => acc + upload.size, 0)};
+  }
+
+  // Unless disabled, keep track of multi-part uploads so they can be resumed
+  let resumeState = null;
+  if (!args.opts['no-resume']) {
+    resumeState = new ResumeState();
+    await resumeState.load();
+  }
+
+  // Limit how many files are uploaded at once
+  const fileScheduler = new Scheduler(CliUtil.getConcurrency(args).maxFiles);
 
   console.log('\Found Files:');
   console.group();
-  const uploadPromises = [];
+  const uploads = [];
+  const compress = args.settings.compress;
+  let totalBytes = 0;
+  let transformed = false;
   for (let i=0; i<files.length; i++) {
     const fileName = files[i];
     const fileKey = fileKeys[i];
-    const fileReadStream = fileReadStreams[i];
     console.log(fileName);
 
     // Get and log some stats
     const stats = await FileUtil.getStatsSync(fileName);
     console.group();
     console.log(`File Size: ${stats.size} Bytes`);
-    console.log(`Expected Number of Chunks: ${Math.ceil(stats.size / config.MAX_BYTES)}`);
-    console.log(`Expected Number of Batches: ${Math.ceil((stats.size / config.MAX_BYTES / config.MAX_CONCURRENT))}`);
+    console.log(`Expected Number of Chunks: ${Math.ceil(stats.size / args.settings.partSize)}`);
     console.groupEnd();
+    totalBytes += stats.size;
 
-    uploadPromises.push(s3.putS3Stream(fileReadStream, bucket, fileKey, stats.size));
+    const relPath = CliUtil.getObjectKey(sourceDir, fileName, '');
+    const params = objectRules.getParams(relPath);
+    const compression = compress && Compression.isCompressible(fileName) ? compress : null;
+    const transform = transformPlugins.getTransform(fileName, relPath, fileKey);
+    if (transform) transformed = true;
+    uploads.push({fileName, fileKey, params, compression, transform});
+    EventLog.write('fileQueued', {key: fileKey, file: fileName, size: stats.size});
   }
   console.groupEnd();
 
   console.log('\nUploading Files...');
+  const progress = new Progress({
+    // The size of compressed or transformed files isn't known until they have been uploaded
+    totalBytes: compress || transformed ? 0 : totalBytes,
+    totalFiles: files.length,
+    showMemory: args.opts.m || args.opts.monitor
+  });
+  progress.start(s3);
+  EventLog.attach(s3);
+  let results;
+  try {
+    results = await Promise.all(uploads.map((upload) => fileScheduler.run(() => {
+      const opts = {resumeState, params: upload.params, compression: upload.compression, transform: upload.transform};
+      return s3.putS3File(upload.fileName, bucket, upload.fileKey, opts);
+    })));
+  } finally {
+    progress.stop();
+  }
+  console.log('\nFinished Uploading Files!');
+
+  console.log('\nEncryption:');
   console.group();
-  await Promise.all(uploadPromises);
+  uploads.forEach((upload, i) => console.log(`${upload.fileKey}: ${s3.describeEncryption(results[i])}`));
   console.groupEnd();
-  console.log('\nFinished Uploading Files!');
+
+  return {keys: fileKeys, bytes: totalBytes};
+};
+
+const exec = async (args) => {
+  // A source of "-" uploads stdin instead of a directory
+  if (args.args[1] === '-') return uploadStdin(args, args.args[2]);
+  if (args.opts.source === '-') return uploadStdin(args, args.args[1]);
+
+  console.log('Beginning upload action...');
+  console.time('Total Time');
+  const startTime = Date.now();
+  console.group();
+
+  // Get all required variables
+  let sourceDir = process.cwd();
+  if (args.opts.source) {
+    sourceDir = path.join(sourceDir, args.opts.source);
+  }
+
+  // Separate the bucket from the path
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log(`\nConfiguration complete`);
+  console.group();
+  console.log(`Source Directory: ${sourceDir}`);
+  console.log(`Target Region: ${envars.AWS_DEFAULT_REGION}`);
+  console.log(`Target Bucket: ${bucket}`);
+  console.groupEnd();
+  if (prefix) console.log(`Target Path: ${prefix}`);
+
+  console.log('\nVerifying Bucket State...');
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  const res = await uploadDir(args, s3, sourceDir, bucket, prefix);
+  if (args.opts['dry-run']) {
+    EventLog.write('runSummary', {dryRun: true, files: res.keys.length, bytes: res.bytes});
+
+    console.groupEnd();
+    console.log('Dry run complete! Total Time Elapsed:');
+    console.timeEnd('Total Time');
+    return;
+  }
+  EventLog.write('runSummary', {files: res.keys.length, bytes: res.bytes, duration: Date.now() - startTime});
 
   console.groupEnd();
   console.log('Upload complete! Total Time Elapsed:');
   console.timeEnd('Total Time');
-
-  if (timeout) clearInterval(timeout);
 };
 
 module.exports.exec = exec;
 module.exports.help = help;
+module.exports.uploadDir = uploadDir;
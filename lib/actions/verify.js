@@ -0,0 +1,192 @@
+'use strict';
+
+const path = require('path');
+
+const CliUtil = require('../utils/cli-util.js');
+const FileUtil = require('../utils/file-util.js');
+const Scheduler = require('../utils/scheduler.js');
+const EventLog = require('../utils/event-log.js');
+
+const {version} = require('../../package.json');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+const help = `
+Simply S3 v${version} Help
+Action: verify
+
+This action will check that the objects in S3 match the files in the current
+directory, without downloading them
+
+The ETag of each object is rebuilt locally from the file contents, using the
+same part size as uploads, and compared with the ETag S3 reports for the object.
+Objects encrypted with KMS keys or customer provided keys do not have ETags that
+can be rebuilt, and will be reported as mismatched
+
+Command Structure:
+  $ simplys3 verify <bucket_path>
+
+Arguments:
+  - bucket_path:
+    The bucket the directory was uploaded to, plus the path within the bucket
+    it was uploaded to. Note that paths must be "unix" style
+      Example:
+        $ simplys3 verify mybucket/my/sub/directory
+        Will verify the "my/sub/directory" path within "mybucket"
+
+Options:
+  --region {string}     Region of the bucket
+                          Default: Defined by envar AWS_DEFAULT_REGION
+  --max {number}        Part size in Bytes the files were uploaded with
+                          Default: ${config.MAX_BYTES} Bytes
+  --source {string}     Directory to verify
+                          Default: . (the current directory)
+  --include {string}    Only verify files matching this glob pattern. May be
+                        provided more than once
+  --exclude {string}    Do not verify files or directories matching this glob
+                        pattern. May be provided more than once. A ".s3ignore"
+                        file in the source directory is also read if present
+  --max-files {number}  Maximum number of files to read at once
+                          Default: ${config.MAX_CONCURRENT_FILES}
+  --max-attempts {number}
+                        Maximum number of times a request will be attempted
+                          Default: ${config.MAX_ATTEMPTS}
+  -n, --nocli {flag}    Flag will cause the process to fail if envars are not
+                        defined
+`;
+
+/**
+ * Compares a local file with a remote object
+ *
+ * @param {string} fileName Full path of the local file
+ * @param {object} object Description of the remote object, from S3.listS3Objects
+ * @param {number} partSize Number of Bytes in each part of a multi-part upload
+ *
+ * @return {Promise} Resolves with `null` if the file matches the object, or a
+ *                   description of the difference
+ */
+const compare = async (fileName, object, partSize) => {
+  const stats = await FileUtil.getStats(fileName);
+  if (stats.size !== object.Size) {
+    return `Size differs (local ${stats.size} Bytes, remote ${object.Size} Bytes)`;
+  }
+
+  const remoteEtag = object.ETag.replace(/"/g, '');
+  const localEtag = await FileUtil.getEtag(fileName, partSize);
+  if (localEtag === remoteEtag) return null;
+
+  // Multi-part ETags end with the number of parts, which tells us if the object
+  // was uploaded with a different part size
+  const localParts = localEtag.split('-')[1] || '1';
+  const remoteParts = remoteEtag.split('-')[1] || '1';
+  if (localParts !== remoteParts) {
+    return `Uploaded with a different part size (local ${localParts} parts, remote ${remoteParts} parts)`;
+  }
+  return `ETag differs (local ${localEtag}, remote ${remoteEtag})`;
+};
+
+const exec = async (args) => {
+  console.log('Beginning verify action...');
+  console.time('Total Time');
+  const startTime = Date.now();
+  console.group();
+
+  // Get all required variables
+  let sourceDir = process.cwd();
+  if (args.opts.source) {
+    sourceDir = path.join(sourceDir, args.opts.source);
+  }
+
+  // Separate the bucket from the path
+  const {bucket, prefix} = CliUtil.parseBucketPath(args.args[1]);
+  const envars = await CliUtil.getEnvars(args);
+
+  console.log(`\nConfiguration complete`);
+  console.group();
+  console.log(`Source Directory: ${sourceDir}`);
+  console.log(`Target Region: ${envars.AWS_DEFAULT_REGION}`);
+  console.log(`Target Bucket: ${bucket}`);
+  if (prefix) console.log(`Target Path: ${prefix}`);
+  console.groupEnd();
+
+  console.log('\nVerifying Bucket State...');
+  const {maxFiles} = CliUtil.getConcurrency(args);
+  const s3 = await CliUtil.createS3(args, envars);
+  try {
+    await s3.headS3Bucket(bucket);
+  } catch (e) {
+    throw new Error('Requested S3 Bucket cannot be found or accessed');
+  }
+
+  console.log('\nGathering Files...');
+  const pathFilter = await CliUtil.getPathFilter(args, sourceDir);
+  const files = await FileUtil.getDirRecursive(sourceDir, (relPath, isDir) => pathFilter.test(relPath, isDir));
+
+  // Only objects within the "directory" of the prefix are compared
+  const dirPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+  const objects = {};
+  (await s3.listS3Objects(bucket, dirPrefix)).forEach((object) => {
+    objects[object.Key] = object;
+  });
+
+  console.log('\nComparing Files...');
+  console.group();
+  const fileScheduler = new Scheduler(maxFiles);
+  const localKeys = {};
+  const results = await Promise.all(files.map((fileName) => {
+    const fileKey = CliUtil.getObjectKey(sourceDir, fileName, prefix);
+    localKeys[fileKey] = true;
+
+    const object = objects[fileKey];
+    if (!object) return {fileKey, problem: 'Missing from S3'};
+    return fileScheduler.run(async () => ({fileKey, problem: await compare(fileName, object, args.settings.partSize)}));
+  }));
+
+  results.forEach((result) => {
+    EventLog.write('fileVerified', {key: result.fileKey, ok: !result.problem, problem: result.problem});
+  });
+  const failures = results.filter((result) => result.problem);
+  failures.forEach((result) => {
+    console.log(`${result.fileKey} [Failed]`);
+    console.group();
+    console.log(result.problem);
+    console.groupEnd();
+  });
+  console.groupEnd();
+
+  // Objects that would have been excluded from an upload are not reported
+  const extraKeys = Object.keys(objects).filter((key) => {
+    return !localKeys[key] && !key.endsWith('/') && pathFilter.accepts(key.slice(dirPrefix.length));
+  });
+  if (extraKeys.length) {
+    console.log('\nObjects Not Found Locally:');
+    console.group();
+    extraKeys.forEach((key) => console.log(key));
+    console.groupEnd();
+  }
+
+  console.log('\nSummary:');
+  console.group();
+  console.log(`Verified: ${results.length - failures.length}`);
+  console.log(`Failed: ${failures.length}`);
+  console.log(`Not Found Locally: ${extraKeys.length}`);
+  console.groupEnd();
+  EventLog.write('runSummary', {
+    verified: results.length - failures.length,
+    failed: failures.length,
+    notFoundLocally: extraKeys.length,
+    duration: Date.now() - startTime
+  });
+
+  console.groupEnd();
+  console.log('Verify complete! Total Time Elapsed:');
+  console.timeEnd('Total Time');
+
+  if (failures.length) {
+    throw new Error(`${failures.length} files do not match the objects in S3`);
+  }
+};
+
+module.exports.exec = exec;
+module.exports.help = help;
@@ -13,6 +13,8 @@
 ```
   <var_name>[=:]<value>
 ```
+ * A variable directly after a multi character flag is also recorded as a value
+ * of that flag, so `--tag env=prod` can be read the same as `--tag=env=prod`
  */
 class Args {
   /**
@@ -26,7 +28,18 @@ class Args {
     this.opts = {};
     this.vars = {};
 
+    // Every value given for each string option, for options that can be repeated.
+    // Includes variables given directly after a flag of the same name
+    this.optLists = {};
+
+    // Every variable given directly after each multi character flag
+    this.flagVars = {};
+
+    let lastFlag = null;
     argv.forEach((arg, index) => {
+      const flag = lastFlag;
+      lastFlag = null;
+
       // Special case. Index 0 is the process (node)
       if (index === 0) {
         this.process = arg;
@@ -51,9 +64,12 @@ class Args {
       }
 
       // Extract string options
-      match = arg.match(/^--?(.+)[:=](.+)?/);
+      match = arg.match(/^--?(.+?)[:=](.+)?/);
       if (match) {
         this.opts[match[1]] = match[2] || null;
+        if (match[2]) {
+          this.optLists[match[1]] = (this.optLists[match[1]] || []).concat(match[2]);
+        }
         return;
       }
 
@@ -61,6 +77,7 @@ class Args {
       match = arg.match(/^--(.+)/);
       if (match) {
         this.opts[match[1]] = true;
+        lastFlag = match[1];
         return;
       }
 
@@ -68,6 +85,10 @@ class Args {
       match = arg.match(/^(.+)[:=](.+)$/);
       if (match) {
         this.vars[match[1]] = match[2];
+        if (flag) {
+          this.flagVars[flag] = (this.flagVars[flag] || []).concat(arg);
+          this.optLists[flag] = (this.optLists[flag] || []).concat(arg);
+        }
         return;
       }
 
@@ -76,6 +97,31 @@ class Args {
     });
   }
 
+  /**
+   * Gets every value given for a string option, including variables given directly
+   * after a flag of the same name. Useful for options that can be provided more
+   * than once
+   *
+   * @param {string} opt Name of the option
+   *
+   * @return {string[]} Array of values, in the order they were provided
+   */
+  getOptList(opt) {
+    return this.optLists[opt] || [];
+  }
+
+  /**
+   * Gets every variable given directly after a flag, such as `env=prod` in
+   * `--tag env=prod`. Useful for options whose values are `<key>=<value>` pairs
+   *
+   * @param {string} opt Name of the flag
+   *
+   * @return {string[]} Array of variables, as they were provided
+   */
+  getFlagVars(opt) {
+    return this.flagVars[opt] || [];
+  }
+
   /**
    * Pseudo-Enum describes all valid actions. The 'action' is the first provided
    * argument
@@ -86,6 +132,46 @@ class Args {
        * Uploads the current directory to S3
        */
       UPLOAD: 'UPLOAD',
+      /**
+       * Downloads a bucket path to a local directory
+       */
+      DOWNLOAD: 'DOWNLOAD',
+      /**
+       * Uploads only new or changed files in the current directory to S3
+       */
+      SYNC: 'SYNC',
+      /**
+       * Lists the objects in a bucket
+       */
+      LS: 'LS',
+      /**
+       * Deletes objects from a bucket
+       */
+      RM: 'RM',
+      /**
+       * Copies objects within S3
+       */
+      CP: 'CP',
+      /**
+       * Moves objects within S3
+       */
+      MV: 'MV',
+      /**
+       * Verifies that uploaded objects match local files
+       */
+      VERIFY: 'VERIFY',
+      /**
+       * Writes an object to stdout
+       */
+      CAT: 'CAT',
+      /**
+       * Publishes the current directory as a new release of a website
+       */
+      DEPLOY: 'DEPLOY',
+      /**
+       * Creates presigned URLs for an object
+       */
+      PRESIGN: 'PRESIGN',
       /**
        * Displays the help text
        */
@@ -115,13 +201,115 @@ class Args {
     // If the help flag is present we are done
     if (this.opts.h || this.opts.help) return;
 
-    // Validations for the UPLOAD action
-    if (action.toUpperCase() === this.ACTIONS.UPLOAD) {
+    // Only known output formats can be used
+    if (this.opts.output !== undefined && !['text', 'ndjson'].includes(this.opts.output)) {
+      throw new Error('"--output" must be one of: text, ndjson');
+    }
+
+    // The source directory must be a string. Other values are validated as settings
+    if (this.opts.source === true || this.opts.source === null) {
+      throw new Error('"--source" must be provided as a string (--source=<path>)');
+    }
+
+    // Validations for actions that operate on a bucket
+    const bucketActions = [
+      this.ACTIONS.UPLOAD,
+      this.ACTIONS.DOWNLOAD,
+      this.ACTIONS.SYNC,
+      this.ACTIONS.LS,
+      this.ACTIONS.RM,
+      this.ACTIONS.VERIFY,
+      this.ACTIONS.CAT,
+      this.ACTIONS.DEPLOY,
+      this.ACTIONS.PRESIGN
+    ];
+    if (bucketActions.includes(action.toUpperCase())) {
       // There must be a bucket name
       if (!this.args[1]) {
         throw new Error('Bucket name must be provided');
       }
     }
+
+    // Validations for the UPLOAD action
+    if (action.toUpperCase() === this.ACTIONS.UPLOAD) {
+      // Uploads from stdin still need a bucket path after the "-"
+      if (this.args[1] === '-' && !this.args[2]) {
+        throw new Error('Bucket name must be provided');
+      }
+    }
+
+    // Validations for actions that copy between two bucket paths
+    if ([this.ACTIONS.CP, this.ACTIONS.MV].includes(action.toUpperCase())) {
+      // There must be a source and a destination
+      if (!this.args[1] || !this.args[2]) {
+        throw new Error('Source and destination paths must be provided');
+      }
+    }
+
+    // Validations for the CAT action
+    if (action.toUpperCase() === this.ACTIONS.CAT) {
+      // Object data is written to stdout, so there is no room for events
+      if (this.opts.output === 'ndjson') {
+        throw new Error('"--output=ndjson" can not be used with cat, which writes object data to stdout');
+      }
+
+      // Ranges are inclusive, and may leave off the end to read to the end of the object
+      const range = this.opts.range;
+      if (range !== undefined) {
+        const match = typeof range === 'string' && range.match(/^(\d+)-(\d*)$/);
+        if (!match || (match[2] && parseInt(match[2], 10) < parseInt(match[1], 10))) {
+          throw new Error('"--range" must be provided as a range of Bytes (--range=<start>-[end])');
+        }
+      }
+
+      const tail = this.opts.tail;
+      if (tail !== undefined && !/^[1-9]\d*$/.test(tail)) {
+        throw new Error('"--tail" must be provided as a positive integer (--tail=<bytes>)');
+      }
+      if (range !== undefined && tail !== undefined) {
+        throw new Error('"--range" and "--tail" can not be used together');
+      }
+    }
+
+    // Validations for the DEPLOY action
+    if (action.toUpperCase() === this.ACTIONS.DEPLOY) {
+      // Rollbacks are given on their own, or with the name of a release
+      if (this.opts.rollback === null) {
+        throw new Error('"--rollback" must be provided on its own, or with a release (--rollback=<release>)');
+      }
+    }
+
+    // Validations for the PRESIGN action
+    if (action.toUpperCase() === this.ACTIONS.PRESIGN) {
+      // S3 does not accept presigned URLs that last longer than 7 days
+      const expires = this.opts.expires;
+      if (expires !== undefined && (!/^[1-9]\d*$/.test(expires) || parseInt(expires, 10) > 604800)) {
+        throw new Error('"--expires" must be provided as a number of seconds, up to 604800 (--expires=<seconds>)');
+      }
+
+      const method = this.opts.method;
+      if (method !== undefined && (typeof method !== 'string' || !['GET', 'PUT'].includes(method.toUpperCase()))) {
+        throw new Error('"--method" must be one of: GET, PUT');
+      }
+
+      const multipart = this.opts.multipart;
+      if (multipart !== undefined) {
+        if (!/^[1-9]\d*$/.test(multipart) || parseInt(multipart, 10) > 10000) {
+          throw new Error('"--multipart" must be provided as a number of parts, up to 10000 (--multipart=<parts>)');
+        }
+        if (method !== undefined && method.toUpperCase() !== 'PUT') {
+          throw new Error('"--multipart" creates upload URLs, and can only be used with "--method=PUT"');
+        }
+      }
+    }
+
+    // Validations for the DOWNLOAD action
+    if (action.toUpperCase() === this.ACTIONS.DOWNLOAD) {
+      // The destination must be a string
+      if (this.opts.dest === true || this.opts.dest === null) {
+        throw new Error('Destination must be provided as a string (--dest=<directory>)');
+      }
+    }
   }
 }
 
@@ -0,0 +1,153 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+const FileUtil = require('./file-util.js');
+
+/**
+ * Name of the profile used when no profile is selected
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Pseudo-Static class finds AWS credentials the same way other AWS tools do.
+ * Credentials are taken from the first of these that provides them:
+ * 1. The shared credentials and config files, if a profile was explicitly selected
+ * 2. The `AWS_ACCESS_KEY_ID`, `AWS_SECRET_ACCESS_KEY`, and `AWS_SESSION_TOKEN` envars
+ * 3. The shared credentials and config files, using the profile named by the
+ *    `AWS_PROFILE` envar, or the "default" profile
+ *
+ * The shared credentials file is `~/.aws/credentials` and the shared config file
+ * is `~/.aws/config`, unless moved with the `AWS_SHARED_CREDENTIALS_FILE` and
+ * `AWS_CONFIG_FILE` envars
+ */
+class AwsCredentials {
+  /**
+   * Parses the contents of an INI file
+   *
+   * @param {string} content Content of the INI file
+   *
+   * @return {object} Object of section names to objects of keys and values
+   */
+  static parseIni(content) {
+    const sections = {};
+    let section = null;
+    let nested = false;
+    content.toString().split(/\r?\n/).forEach((line) => {
+      // Indented lines belong to a nested setting, which are not used here
+      if (nested && /^\s/.test(line)) return;
+      nested = false;
+
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) return;
+
+      const sectionMatch = trimmed.match(/^\[([^\]]+)\]/);
+      if (sectionMatch) {
+        section = sectionMatch[1].trim();
+        sections[section] = sections[section] || {};
+        return;
+      }
+
+      const valueMatch = trimmed.match(/^([^=]+?)\s*=\s*(.*)$/);
+      if (!section || !valueMatch) return;
+
+      // A key without a value starts a nested setting
+      if (!valueMatch[2]) {
+        nested = true;
+        return;
+      }
+      sections[section][valueMatch[1].toLowerCase()] = valueMatch[2].replace(/\s+[#;].*$/, '');
+    });
+    return sections;
+  }
+
+  /**
+   * Reads and parses an INI file. A missing file is treated as empty
+   *
+   * @param {string} filePath Path of the INI file
+   *
+   * @return {Promise} Resolves with the parsed sections
+   */
+  static async readIni(filePath) {
+    try {
+      return AwsCredentials.parseIni(await FileUtil.readFile(filePath));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  /**
+   * Loads a profile from the shared credentials and config files. Values in the
+   * credentials file take priority over values in the config file
+   *
+   * @param {string} profile Name of the profile
+   * @param {object} [env] Optional: Environment variables. Defaults to `process.env`
+   *
+   * @return {Promise} Resolves with an object with `accessKeyId`, `secretAccessKey`,
+   *                   `sessionToken`, and `region` members, or null if the profile
+   *                   does not exist in either file
+   */
+  static async loadProfile(profile, env = process.env) {
+    const awsDir = path.join(os.homedir(), '.aws');
+    const credentialsFile = env.AWS_SHARED_CREDENTIALS_FILE || path.join(awsDir, 'credentials');
+    const configFile = env.AWS_CONFIG_FILE || path.join(awsDir, 'config');
+
+    const credentials = (await AwsCredentials.readIni(credentialsFile))[profile];
+
+    // Profiles in the config file are named "profile <name>", except the default
+    const configSections = await AwsCredentials.readIni(configFile);
+    const config = configSections[`profile ${profile}`] ||
+      (profile === DEFAULT_PROFILE ? configSections[DEFAULT_PROFILE] : null);
+
+    if (!credentials && !config) return null;
+
+    const values = Object.assign({}, config, credentials);
+    return {
+      accessKeyId: values.aws_access_key_id || null,
+      secretAccessKey: values.aws_secret_access_key || null,
+      sessionToken: values.aws_session_token || null,
+      region: values.region || null
+    };
+  }
+
+  /**
+   * Finds the credentials to access AWS with
+   *
+   * @param {string} [profile] Optional: Name of an explicitly selected profile
+   * @param {object} [env] Optional: Environment variables. Defaults to `process.env`
+   *
+   * @return {Promise} Resolves with an object with `accessKeyId`, `secretAccessKey`,
+   *                   `sessionToken`, and `region` members. Members are null if
+   *                   no value was found
+   */
+  static async resolve(profile = null, env = process.env) {
+    if (profile) {
+      const values = await AwsCredentials.loadProfile(profile, env);
+      if (!values) {
+        throw new Error(`AWS profile "${profile}" was not found in the shared credentials or config files`);
+      }
+      return values;
+    }
+
+    // Envars are used as long as there is a key. Anything missing will be prompted for
+    if (env.AWS_ACCESS_KEY_ID) {
+      const values = await AwsCredentials.loadProfile(env.AWS_PROFILE || DEFAULT_PROFILE, env);
+      return {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY || null,
+        sessionToken: env.AWS_SESSION_TOKEN || null,
+        region: values ? values.region : null
+      };
+    }
+
+    const values = await AwsCredentials.loadProfile(env.AWS_PROFILE || DEFAULT_PROFILE, env);
+    if (!values && env.AWS_PROFILE) {
+      throw new Error(`AWS profile "${env.AWS_PROFILE}" was not found in the shared credentials or config files`);
+    }
+    return values || {accessKeyId: null, secretAccessKey: null, sessionToken: null, region: null};
+  }
+}
+
+module.exports = AwsCredentials;
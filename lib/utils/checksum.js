@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Lookup table for the CRC32C (Castagnoli) polynomial, generated on first use
+ */
+let CRC32C_TABLE = null;
+
+/**
+ * Map of supported additional checksum algorithms to the S3 request parameter
+ * that holds the checksum value
+ */
+const ALGORITHMS = {
+  SHA256: 'ChecksumSHA256',
+  CRC32C: 'ChecksumCRC32C'
+};
+
+/**
+ * Pseudo-Static class calculates the checksums S3 uses to verify uploaded data
+ */
+class Checksum {
+  /**
+   * Gets the list of supported additional checksum algorithms
+   *
+   * @return {string[]} Array of algorithm names, as S3 expects them
+   */
+  static get ALGORITHMS() {
+    return Object.keys(ALGORITHMS);
+  }
+
+  /**
+   * Gets the name of the request parameter that holds the value of a checksum
+   *
+   * @param {string} algorithm Checksum algorithm
+   *
+   * @return {string} Name of the request parameter
+   */
+  static getParamName(algorithm) {
+    return ALGORITHMS[algorithm];
+  }
+
+  /**
+   * Calculates the MD5 hash of a buffer, as used by the `Content-MD5` header
+   *
+   * @param {Buffer} body Data to hash
+   *
+   * @return {string} Base64 encoded hash
+   */
+  static md5(body) {
+    return crypto.createHash('md5').update(body).digest('base64');
+  }
+
+  /**
+   * Calculates the SHA-256 hash of a buffer
+   *
+   * @param {Buffer} body Data to hash
+   *
+   * @return {string} Base64 encoded hash
+   */
+  static sha256(body) {
+    return crypto.createHash('sha256').update(body).digest('base64');
+  }
+
+  /**
+   * Calculates the CRC32C checksum of a buffer
+   *
+   * @param {Buffer} body Data to checksum
+   *
+   * @return {string} Base64 encoded, big endian checksum
+   */
+  static crc32c(body) {
+    if (!CRC32C_TABLE) {
+      CRC32C_TABLE = new Int32Array(256);
+      for (let i=0; i<256; i++) {
+        let crc = i;
+        for (let j=0; j<8; j++) {
+          crc = (crc & 1) ? (crc >>> 1) ^ 0x82F63B78 : crc >>> 1;
+        }
+        CRC32C_TABLE[i] = crc;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i=0; i<body.length; i++) {
+      crc = CRC32C_TABLE[(crc ^ body[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    const result = Buffer.alloc(4);
+    result.writeUInt32BE((crc ^ 0xFFFFFFFF) >>> 0, 0);
+    return result.toString('base64');
+  }
+
+  /**
+   * Gets the integrity checking request parameters for a request body. The
+   * `Content-MD5` header is always included, and an additional checksum is
+   * included if an algorithm is provided
+   *
+   * @param {Buffer} body Request body
+   * @param {string} [algorithm] Optional: Additional checksum algorithm
+   *
+   * @return {object} Request parameters
+   */
+  static getParams(body, algorithm = null) {
+    const params = {
+      ContentMD5: Checksum.md5(body)
+    };
+    if (algorithm === 'SHA256') params.ChecksumSHA256 = Checksum.sha256(body);
+    if (algorithm === 'CRC32C') params.ChecksumCRC32C = Checksum.crc32c(body);
+    return params;
+  }
+}
+
+module.exports = Checksum;
@@ -0,0 +1,403 @@
+'use strict';
+
+const path = require('path');
+const https = require('https');
+
+const Input = require('./input.js');
+const S3 = require('./s3.js');
+const AwsCredentials = require('./aws-credentials.js');
+const FileUtil = require('./file-util.js');
+const PathFilter = require('./path-filter.js');
+const ObjectRules = require('./object-rules.js');
+const TransformPlugins = require('./transform-plugins.js');
+const EventLog = require('./event-log.js');
+
+/**
+ * Name of the file that lists patterns for files that should not be uploaded
+ */
+const IGNORE_FILE = '.s3ignore';
+
+/**
+ * Region used with custom endpoints when no region is provided
+ */
+const DEFAULT_ENDPOINT_REGION = 'us-east-1';
+
+/**
+ * Number of Bytes in a customer provided encryption key (AES-256)
+ */
+const SSE_CUSTOMER_KEY_BYTES = 32;
+
+/**
+ * Pseudo-Static class contains helper functions that are shared between actions
+ */
+class CliUtil {
+  /**
+   * Gets the credentials and region required to access S3. Credentials are found
+   * in envars or the shared AWS credentials and config files, as described by
+   * AwsCredentials. If any are missing the user will be prompted for them, unless
+   * the `--nocli` flag is set
+   *
+   * @param {Args} args Processed arguments
+   * @param {boolean} [interactive] Optional: If the user can be prompted for missing
+   *                                values. Defaults to true
+   *
+   * @return {Promise} Resolves with an object of values, named after the envars
+   *                   that would provide them
+   */
+  static async getEnvars(args, interactive = true) {
+    const credentials = await AwsCredentials.resolve(args.settings.awsProfile);
+
+    // Get values and check to see if we are missing anything. A session token is
+    // only needed for temporary credentials, so it is never prompted for
+    const envars = {
+      AWS_ACCESS_KEY_ID: credentials.accessKeyId,
+      AWS_SECRET_ACCESS_KEY: credentials.secretAccessKey,
+      AWS_DEFAULT_REGION: args.settings.region || process.env.AWS_REGION || credentials.region
+    };
+
+    // S3 compatible stores rarely care about the region, so don't ask for one
+    if (args.settings.endpoint && !envars.AWS_DEFAULT_REGION) {
+      envars.AWS_DEFAULT_REGION = DEFAULT_ENDPOINT_REGION;
+    }
+    const envarKeys = Object.keys(envars);
+    let input;
+    for (let i=0; i<envarKeys.length; i++) {
+      const key = envarKeys[i];
+      const val = envars[key];
+
+      // No need to do anything if there is already a value
+      if (val) continue;
+
+      // Error if the value is undefined and the user can not be prompted for it
+      if (!interactive || args.opts.n || args.opts.nocli) {
+        throw new Error(`Missing "${key}" envar in no cli mode`);
+      }
+
+      // Otherwise open a readline interface to interact with the user
+      if (!input) {
+        console.log('Missing variables detected...');
+        input = new Input({
+          input: process.stdin,
+          output: EventLog.humanStream
+        });
+      }
+
+      // Don't mute the region input
+      let askString = `\nPlease provide a value for "${key}"`;
+      let hide = false;
+      if (key !== 'AWS_DEFAULT_REGION') {
+        askString += ' (input will be hidden)';
+        hide = true;
+      }
+
+      envars[key] = await input.ask(askString, hide);
+    }
+    if (input) {
+      input.close();
+      console.log('\nThank you. Continuing operation...');
+    }
+    envars.AWS_SESSION_TOKEN = credentials.sessionToken;
+    return envars;
+  }
+
+  /**
+   * Asks the user to confirm an action. Confirmation is skipped if the `--yes`
+   * flag is set, or if the `--nocli` flag prevents interaction
+   *
+   * @param {Args} args Processed arguments
+   * @param {string} question Question for the user
+   *
+   * @return {Promise} Resolves with `true` if the action should continue
+   */
+  static async confirm(args, question) {
+    if (args.opts.y || args.opts.yes || args.opts.n || args.opts.nocli) return true;
+
+    const input = new Input({
+      input: process.stdin,
+      output: EventLog.humanStream
+    });
+    const answer = await input.ask(`${question} (y/N)`, false);
+    input.close();
+
+    return /^y(es)?$/i.test(answer.trim());
+  }
+
+  /**
+   * Separates a "bucket path" argument into the bucket name and the path within
+   * that bucket
+   *
+   * @param {string} bucketPath Bucket path in the form `<bucket>[/<path>]`
+   *
+   * @return {object} Object with `bucket` and `prefix` members. The prefix will
+   *                  never have a leading slash, and is an empty string if no
+   *                  path was provided
+   */
+  static parseBucketPath(bucketPath) {
+    const pathIndex = bucketPath.indexOf('/');
+    if (pathIndex < 0) {
+      return {bucket: bucketPath, prefix: ''};
+    }
+
+    return {
+      bucket: bucketPath.slice(0, pathIndex),
+      prefix: bucketPath.slice(pathIndex + 1).replace(/^\/+/, '')
+    };
+  }
+
+  /**
+   * Gets the concurrency limits requested by the user
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {object} Object with `maxFiles` and `maxParts` members
+   */
+  static getConcurrency(args) {
+    return {
+      maxFiles: args.settings.maxFiles,
+      maxParts: args.settings.maxParts
+    };
+  }
+
+  /**
+   * Gets the settings for the S3 helper class requested by the user
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {object} Settings object for the S3 constructor
+   */
+  static getS3Settings(args) {
+    return {
+      maxConcurrent: args.settings.maxParts,
+      maxAttempts: args.settings.maxAttempts,
+      checksumAlgorithm: args.settings.checksum ? args.settings.checksum.toUpperCase() : null,
+      partSize: args.settings.partSize
+    };
+  }
+
+  /**
+   * Gets the server-side encryption requested by the user. A customer provided key
+   * file may contain the raw 32 Byte key, or the key encoded as base64 or hex
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {Promise} Resolves with an object with `sse`, `kmsKeyId`, and `customerKey`
+   *                   members, or null if no encryption was requested
+   */
+  static async getEncryption(args) {
+    const {settings} = args;
+    if (!settings.sse && !settings.sseKmsKeyId && !settings.sseCustomerKeyFile) return null;
+
+    if (settings.sseKmsKeyId && settings.sse !== 'aws:kms') {
+      throw new Error('"--sse-kms-key-id" can only be used with "--sse=aws:kms"');
+    }
+    if (settings.sseCustomerKeyFile && settings.sse) {
+      throw new Error('"--sse" and "--sse-c-key-file" can not be used together');
+    }
+
+    let customerKey = null;
+    if (settings.sseCustomerKeyFile) {
+      let content;
+      try {
+        content = await FileUtil.readFile(settings.sseCustomerKeyFile);
+      } catch (e) {
+        throw new Error(`SSE-C key file "${settings.sseCustomerKeyFile}" could not be read: ${e.message}`);
+      }
+
+      const text = content.toString().trim();
+      if (content.length === SSE_CUSTOMER_KEY_BYTES) {
+        customerKey = content;
+      } else if (/^[0-9a-f]+$/i.test(text)) {
+        customerKey = Buffer.from(text, 'hex');
+      } else {
+        customerKey = Buffer.from(text, 'base64');
+      }
+      if (customerKey.length !== SSE_CUSTOMER_KEY_BYTES) {
+        throw new Error(`SSE-C key file "${settings.sseCustomerKeyFile}" must contain a ` +
+          `${SSE_CUSTOMER_KEY_BYTES} Byte key, either raw or encoded as base64 or hex`);
+      }
+    }
+
+    return {
+      sse: settings.sse === 'aes256' ? 'AES256' : settings.sse,
+      kmsKeyId: settings.sseKmsKeyId,
+      customerKey
+    };
+  }
+
+  /**
+   * Creates the S3 helper used by an action. Custom endpoints, path style
+   * addressing, and TLS settings allow S3 compatible stores to be used
+   *
+   * @param {Args} args Processed arguments
+   * @param {object} envars Environment variable values, from `getEnvars`
+   *
+   * @return {Promise} Resolves with an S3 helper
+   */
+  static async createS3(args, envars) {
+    const {settings} = args;
+    const opts = {
+      accessKeyId: envars.AWS_ACCESS_KEY_ID,
+      secretAccessKey: envars.AWS_SECRET_ACCESS_KEY,
+      region: envars.AWS_DEFAULT_REGION
+    };
+    if (envars.AWS_SESSION_TOKEN) opts.sessionToken = envars.AWS_SESSION_TOKEN;
+    if (settings.endpoint) opts.endpoint = settings.endpoint;
+    if (settings.forcePathStyle) opts.s3ForcePathStyle = true;
+
+    // TLS settings have no meaning for plain HTTP endpoints, and an HTTPS agent
+    // cannot be used to make HTTP requests
+    const isHttp = !!settings.endpoint && settings.endpoint.startsWith('http://');
+    if (!isHttp && (!settings.verifySsl || settings.caBundle)) {
+      const agentOpts = {rejectUnauthorized: settings.verifySsl};
+      if (settings.caBundle) {
+        try {
+          agentOpts.ca = await FileUtil.readFile(settings.caBundle);
+        } catch (e) {
+          throw new Error(`CA bundle "${settings.caBundle}" could not be read: ${e.message}`);
+        }
+      }
+      opts.httpOptions = {agent: new https.Agent(agentOpts)};
+    }
+
+    const s3Settings = CliUtil.getS3Settings(args);
+    s3Settings.encryption = await CliUtil.getEncryption(args);
+    return new S3(opts, s3Settings);
+  }
+
+  /**
+   * Loads the rules that decide the settings of each uploaded object. The storage
+   * class, ACL, tags, and metadata settings apply to every object, and can be
+   * overridden by rules
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {Promise} Resolves with an ObjectRules instance
+   */
+  static async getObjectRules(args) {
+    const {storageClass, acl, tags, metadata} = args.settings;
+    return ObjectRules.load(args.settings.rules, {storageClass, acl, tags, metadata});
+  }
+
+  /**
+   * Loads the plugins that transform the contents of files as they are uploaded
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {TransformPlugins} Loaded plugins
+   */
+  static getTransformPlugins(args) {
+    try {
+      return new TransformPlugins(args.settings.transforms);
+    } catch (e) {
+      throw new Error(`Invalid "transforms" setting: ${e.message}`);
+    }
+  }
+
+  /**
+   * Builds the filter that decides which files in a source directory are uploaded,
+   * using the configured include and exclude patterns along with any `.s3ignore`
+   * file in the source directory
+   *
+   * @param {Args} args Processed arguments
+   * @param {string} sourceDir The directory being uploaded
+   *
+   * @return {Promise} Resolves with a PathFilter
+   */
+  static async getPathFilter(args, sourceDir) {
+    // The ignore file itself is never uploaded, unless re-included by a pattern
+    let exclude = [`/${IGNORE_FILE}`];
+    try {
+      const content = await FileUtil.readFile(path.join(sourceDir, IGNORE_FILE));
+      exclude = exclude.concat(PathFilter.parseIgnoreFile(content));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    // Configured exclusions take priority over the ignore file
+    exclude = exclude.concat(args.settings.exclude);
+
+    return new PathFilter({
+      include: args.settings.include,
+      exclude
+    });
+  }
+
+  /**
+   * Prints what an upload would do, without making any changes. Used for the
+   * `--dry-run` option
+   *
+   * @param {S3} s3 S3 helper the upload would be made with
+   * @param {object[]} uploads Array of objects with `fileKey` and `size` members
+   * @param {string[]} [deleteKeys] Optional: Object keys that would be deleted
+   */
+  static printUploadPlan(s3, uploads, deleteKeys = []) {
+    let totalBytes = 0;
+    let totalRequests = 0;
+
+    console.log('\nUpload Plan (dry run, nothing will be changed):');
+    console.group();
+    uploads.forEach((upload) => {
+      const plan = s3.getUploadPlan(upload.size);
+      totalBytes += upload.size;
+      totalRequests += plan.requests;
+
+      const method = plan.multipart ? `multi-part, ${plan.parts} parts` : 'single-part';
+      console.log(`${upload.fileKey} (${upload.size} Bytes, ${method})`);
+    });
+    deleteKeys.forEach((key) => {
+      console.log(`${key} (delete)`);
+    });
+    console.groupEnd();
+
+    // Deletions are sent in batches of up to 1000 keys
+    totalRequests += Math.ceil(deleteKeys.length / 1000);
+
+    console.log('\nPlan Summary:');
+    console.group();
+    console.log(`Files to Upload: ${uploads.length}`);
+    if (deleteKeys.length) console.log(`Objects to Delete: ${deleteKeys.length}`);
+    console.log(`Total Bytes: ${totalBytes}`);
+    console.log(`Estimated Requests: ${totalRequests}`);
+    console.groupEnd();
+  }
+
+  /**
+   * Formats a number of bytes as a human readable string
+   *
+   * @param {number} bytes Number of bytes
+   *
+   * @return {string} Formatted size, such as "1.5 MiB"
+   */
+  static formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit += 1;
+    }
+    return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Determines the object key a local file will be uploaded to
+   *
+   * @param {string} sourceDir The directory being uploaded
+   * @param {string} fileName Full path of the file within the source directory
+   * @param {string} prefix Path within the bucket the source directory is uploaded to
+   *
+   * @return {string} The "unix" style object key
+   */
+  static getObjectKey(sourceDir, fileName, prefix) {
+    const key = path.join('.', prefix, FileUtil.removeBasepath(sourceDir, fileName));
+
+    // If we are on windows (using windows style directory paths) then we need to
+    // translate the object key to unix style
+    if (path.sep === '\\') {
+      return key.replace(/\\/g, '/');
+    }
+    return key;
+  }
+}
+
+module.exports = CliUtil;
@@ -0,0 +1,110 @@
+'use strict';
+
+const zlib = require('zlib');
+const {pipeline} = require('stream');
+
+const FileUtil = require('./file-util.js');
+
+/**
+ * Lower case extensions of text files, which are the only files worth compressing
+ */
+const TEXT_EXTENSIONS = require('./text-extensions.json');
+
+/**
+ * Number of Bytes at the start of a file that are compressed to decide if the
+ * whole file is worth compressing
+ */
+const SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Options of the brotli compressor, tuned for text
+ */
+const BROTLI_OPTS = {
+  params: {[zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT}
+};
+
+/**
+ * Map of supported compression algorithms, named by their `Content-Encoding`, to
+ * functions that create a compression stream
+ */
+const ALGORITHMS = {
+  gzip: () => zlib.createGzip(),
+  br: () => zlib.createBrotliCompress(BROTLI_OPTS)
+};
+
+/**
+ * Map of supported compression algorithms to functions that compress a buffer
+ */
+const SYNC_ALGORITHMS = {
+  gzip: (data) => zlib.gzipSync(data),
+  br: (data) => zlib.brotliCompressSync(data, BROTLI_OPTS)
+};
+
+/**
+ * Pseudo-Static class compresses files as they are uploaded
+ */
+class Compression {
+  /**
+   * Gets the list of supported compression algorithms
+   *
+   * @return {string[]} Array of algorithm names, which are also the value of the
+   *                    `Content-Encoding` header of compressed objects
+   */
+  static get ALGORITHMS() {
+    return Object.keys(ALGORITHMS);
+  }
+
+  /**
+   * Determines if a file should be compressed, based on its extension
+   *
+   * @param {string} filePath Path of the file
+   *
+   * @return {boolean} If the file is a text file
+   */
+  static isCompressible(filePath) {
+    return TEXT_EXTENSIONS.includes(FileUtil.getExtname(filePath).toLowerCase());
+  }
+
+  /**
+   * Determines if compressing a file will make it smaller, by compressing a sample
+   * from the start of the file. Empty files are never worth compressing
+   *
+   * @param {string} filePath Path of the file
+   * @param {string} algorithm Compression algorithm
+   *
+   * @return {Promise} Resolves with true if the compressed sample is smaller than
+   *                   the sample, rejects with error
+   */
+  static sample(filePath, algorithm) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const readStream = FileUtil.createReadStream(filePath, {start: 0, end: SAMPLE_BYTES - 1});
+      readStream.on('data', (chunk) => chunks.push(chunk));
+      readStream.once('error', reject);
+      readStream.once('end', () => {
+        const data = Buffer.concat(chunks);
+        resolve(data.length > 0 && SYNC_ALGORITHMS[algorithm](data).length < data.length);
+      });
+    });
+  }
+
+  /**
+   * Compresses the data from a stream
+   *
+   * @param {ReadableStream} readStream Stream of data to compress
+   * @param {string} algorithm Compression algorithm
+   *
+   * @return {ReadableStream} Stream of compressed data. Errors from the original
+   *                          stream are emitted by this stream
+   */
+  static compress(readStream, algorithm) {
+    const compressStream = ALGORITHMS[algorithm]();
+
+    // The pipeline destroys the compression stream with any error, so there is
+    // nothing left to handle once it finishes
+    pipeline(readStream, compressStream, () => {});
+    return compressStream;
+  }
+}
+
+module.exports = Compression;
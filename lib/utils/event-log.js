@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * If events are being written
+ */
+let enabled = false;
+
+/**
+ * If human readable output has been moved to stderr
+ */
+let redirected = false;
+
+/**
+ * Pseudo-Static class writes machine readable events, one JSON object per line,
+ * to stdout. Events are only written once enabled with the `--output=ndjson`
+ * option, at which point all human readable output is moved to stderr so that
+ * stdout contains nothing but events
+ *
+ * Every event has an `event` member with the name of the event and a `time`
+ * member with an ISO 8601 timestamp. Durations are in milliseconds
+ */
+class EventLog {
+  /**
+   * Starts writing events, and moves human readable output to stderr
+   */
+  static enable() {
+    enabled = true;
+    EventLog.redirect();
+  }
+
+  /**
+   * Moves human readable output to stderr, leaving stdout free for other data
+   */
+  static redirect() {
+    redirected = true;
+
+    // Grouping is tracked per console, so redirecting these keeps indentation intact
+    console.log = console.error;
+    console.info = console.error;
+    console.debug = console.error;
+  }
+
+  /**
+   * Gets if events are being written
+   *
+   * @return {boolean} If events are being written
+   */
+  static get enabled() {
+    return enabled;
+  }
+
+  /**
+   * Gets the stream human readable output should be written to
+   *
+   * @return {WritableStream} stderr if human readable output has been moved, stdout
+   *                          otherwise
+   */
+  static get humanStream() {
+    return redirected ? process.stderr : process.stdout;
+  }
+
+  /**
+   * Writes an event, if events are enabled
+   *
+   * @param {string} event Name of the event
+   * @param {object} [data] Optional: Additional members of the event
+   */
+  static write(event, data = {}) {
+    if (!enabled) return;
+    const line = Object.assign({event, time: new Date().toISOString()}, data);
+    process.stdout.write(`${JSON.stringify(line)}\n`);
+  }
+
+  /**
+   * Writes events for the uploads made by an S3 instance
+   *
+   * @param {S3} s3 S3 instance to listen to
+   */
+  static attach(s3) {
+    if (!enabled) return;
+
+    const startTimes = {};
+    s3.on('uploadStart', (event) => {
+      startTimes[event.key] = Date.now();
+    });
+    s3.on('multipartCreate', (event) => {
+      EventLog.write('multipartCreated', {key: event.key, uploadId: event.uploadId});
+    });
+    s3.on('partComplete', (event) => {
+      EventLog.write('partCompleted', {
+        key: event.key,
+        partNumber: event.partNumber,
+        size: event.size,
+        etag: event.etag
+      });
+    });
+    s3.on('uploadEnd', (event) => {
+      EventLog.write('fileFinished', {
+        key: event.key,
+        size: event.size,
+        etag: event.etag,
+        encryption: event.encryption,
+        duration: Date.now() - startTimes[event.key]
+      });
+      delete startTimes[event.key];
+    });
+    s3.on('uploadError', (event) => {
+      EventLog.write('fileFailed', {
+        key: event.key,
+        error: event.error.message,
+        code: event.error.code,
+        duration: Date.now() - startTimes[event.key]
+      });
+      delete startTimes[event.key];
+    });
+  }
+}
+
+module.exports = EventLog;
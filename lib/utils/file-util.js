@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const {Transform} = require('stream');
 
@@ -97,16 +98,82 @@ class FileUtil {
     return fs.statSync(filename);
   }
 
+  /**
+   * Calculates the ETag S3 will give a file once it has been uploaded. Files smaller
+   * than the part size are uploaded in a single request and their ETag is a simple
+   * MD5 hash. Larger files are uploaded in parts, and their ETag is the MD5 hash of
+   * all the part hashes followed by the number of parts
+   *
+   * @param {string} filePath Path of the file to calculate the ETag for
+   * @param {number} partSize Number of bytes in each uploaded part
+   *
+   * @return {Promise} Resolves with the ETag, without surrounding quotes
+   */
+  static async getEtag(filePath, partSize) {
+    return new Promise((resolve, reject) => {
+      const partHashes = [];
+      let partHash = crypto.createHash('md5');
+      let partBytes = 0;
+
+      const read = fs.createReadStream(filePath, {highWaterMark: 256 * 1024});
+      read.on('error', reject);
+      read.on('data', (chunk) => {
+        // Split the chunk across part boundaries as needed
+        while (chunk.length) {
+          const slice = chunk.slice(0, partSize - partBytes);
+          partHash.update(slice);
+          partBytes += slice.length;
+          chunk = chunk.slice(slice.length);
+
+          if (partBytes === partSize) {
+            partHashes.push(partHash.digest());
+            partHash = crypto.createHash('md5');
+            partBytes = 0;
+          }
+        }
+      });
+      read.on('end', () => {
+        // Files smaller than a single part are uploaded in a single request
+        if (partHashes.length === 0) {
+          return resolve(partHash.digest('hex'));
+        }
+
+        if (partBytes) partHashes.push(partHash.digest());
+        const etag = crypto.createHash('md5').update(Buffer.concat(partHashes)).digest('hex');
+        return resolve(`${etag}-${partHashes.length}`);
+      });
+    });
+  }
+
   /**
    * Retrieves all file paths within a given directory
    *
    * @param {string} basePath Name of the directory to use
+   * @param {function(string, boolean)} [filter] Optional: Called with the "unix" style
+   *                                             path of each file and directory relative
+   *                                             to the base path, and if it is a directory.
+   *                                             Anything it returns false for is skipped,
+   *                                             and skipped directories are never read
    *
    * @return {Promise} Resolves will an array of directory file paths
    */
-  static async getDirRecursive(basePath) {
+  static async getDirRecursive(basePath, filter = null) {
+    /**
+     * Internal helper function removes any dirents rejected by the filter
+     *
+     * @param {fs.Dirent[]} dirents Array of dirents taken from this.readdir
+     *
+     * @return {fs.Dirent[]} Array of dirents that passed the filter
+     */
+    const applyFilter = (dirents) => {
+      if (!filter) return dirents;
+      return dirents.filter((dirent) => {
+        return filter(dirent.name.split(path.sep).join('/'), dirent.isDirectory());
+      });
+    };
+
     // Get an array of "dirent" objects for the root directory
-    let files = await this.readdir(basePath, true);
+    let files = applyFilter(await this.readdir(basePath, true));
 
     /**
      * Internal helper function checks if any of the dirent elements in a given
@@ -128,11 +195,11 @@ class FileUtil {
         const file = files[i];
         if (file.isDirectory()) {
           let subFiles = await FileUtil.readdir(path.join(basePath, file.name), true);
-          subFiles = subFiles.map((subFile) => {
+          subFiles = applyFilter(subFiles.map((subFile) => {
             // Add the directory of the subFile to each file we found
             subFile.name = path.join(file.name, subFile.name);
             return subFile;
-          });
+          }));
 
           // Remove the old directory and add the directory files
           files.splice(i--, 1);
@@ -202,7 +269,7 @@ class FileUtil {
    * and "flush" functions.
    *
    * Notes:
-   * - Only files with extensions in the `text-extensions.js` file will be subjected
+   * - Only files with extensions in the `text-extensions.json` file will be subjected
    *   to the transform and flush functions
    * - If using both the transform and flush functions, use classic function declarations
    *   (non-arrow functions) for access to a shared `this`.
@@ -311,12 +378,46 @@ class FileUtil {
    *
    * @param {string} filePath Path to write the file to
    * @param {string} content Content to write to the file
+   * @param {object} [opts] Optional: Options passed to fs.writeFile, such as `flag`
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async writeFile(filePath, content, opts = {}) {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(filePath, content, opts, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Async wrapper for fs.rename
+   *
+   * @param {string} oldPath Current path of the file
+   * @param {string} newPath Path to move the file to
    *
    * @return {Promise} Resolves on success
    */
-  static async writeFile(filePath, content) {
+  static async rename(oldPath, newPath) {
     return new Promise((resolve, reject) => {
-      fs.writeFile(filePath, content, (err) => {
+      fs.rename(oldPath, newPath, (err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Async wrapper for fs.unlink
+   *
+   * @param {string} filePath Path of the file to remove
+   *
+   * @return {Promise} Resolves on success
+   */
+  static async removeFile(filePath) {
+    return new Promise((resolve, reject) => {
+      fs.unlink(filePath, (err) => {
         if (err) return reject(err);
         resolve();
       });
@@ -413,6 +514,18 @@ class FileUtil {
   static createReadStream(filePath, opts) {
     return fs.createReadStream(filePath, opts);
   }
+
+  /**
+   * Extremely simple wrapper of fs.createWriteStream
+   *
+   * @param {string} filePath File path to create the write stream for
+   * @param {object} opts Options for generating the write stream
+   *
+   * @return {WritableStream} Write Stream
+   */
+  static createWriteStream(filePath, opts) {
+    return fs.createWriteStream(filePath, opts);
+  }
 }
 
 module.exports = FileUtil;
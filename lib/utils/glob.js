@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Pseudo-Static class converts glob patterns into regular expressions. Paths are
+ * always expected to be "unix" style
+ *
+ * Supported syntax:
+ * - `*` matches any characters except for `/`
+ * - `**` matches any characters, including `/`. When followed by a `/` it matches
+ *   zero or more directories
+ * - `?` matches any single character except for `/`
+ * - `[abc]`, `[a-z]`, and `[!abc]` match a single character from (or not from) a set
+ * - `{a,b}` matches any one of the comma separated alternatives
+ * - `\` escapes the following character
+ */
+class Glob {
+  /**
+   * Converts a glob pattern into the source of an equivalent regular expression,
+   * without any anchors
+   *
+   * @param {string} glob Glob pattern to convert
+   *
+   * @return {string} Regular expression source
+   */
+  static toSource(glob) {
+    let source = '';
+    for (let i=0; i<glob.length; i++) {
+      const char = glob.charAt(i);
+
+      if (char === '*') {
+        if (glob.charAt(i + 1) !== '*') {
+          source += '[^/]*';
+        } else if (glob.charAt(i + 2) === '/') {
+          // "**/" matches zero or more directories
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+        continue;
+      }
+
+      if (char === '?') {
+        source += '[^/]';
+        continue;
+      }
+
+      if (char === '\\' && i + 1 < glob.length) {
+        source += Glob.escape(glob.charAt(i + 1));
+        i += 1;
+        continue;
+      }
+
+      if (char === '[') {
+        const end = glob.indexOf(']', i + 2);
+        if (end < 0) {
+          source += '\\[';
+          continue;
+        }
+
+        let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (set.charAt(0) === '!') set = `^${set.slice(1)}`;
+        source += `[${set}]`;
+        i = end;
+        continue;
+      }
+
+      if (char === '{') {
+        const end = Glob.findBraceEnd(glob, i);
+        if (end < 0) {
+          source += '\\{';
+          continue;
+        }
+
+        const alternatives = Glob.splitAlternatives(glob.slice(i + 1, end));
+        source += `(?:${alternatives.map((alternative) => Glob.toSource(alternative)).join('|')})`;
+        i = end;
+        continue;
+      }
+
+      source += Glob.escape(char);
+    }
+    return source;
+  }
+
+  /**
+   * Converts a glob pattern into a regular expression that must match an entire path
+   *
+   * @param {string} glob Glob pattern to convert
+   *
+   * @return {RegExp} Regular expression
+   */
+  static toRegExp(glob) {
+    return new RegExp(`^${Glob.toSource(glob)}$`);
+  }
+
+  /**
+   * Checks if a path matches a glob pattern
+   *
+   * @param {string} glob Glob pattern to match against
+   * @param {string} filePath "unix" style path to check
+   *
+   * @return {boolean} If the path matches
+   */
+  static match(glob, filePath) {
+    return Glob.toRegExp(glob).test(filePath);
+  }
+
+  /**
+   * Escapes a string so that it will be matched literally in a regular expression
+   *
+   * @param {string} str String to escape
+   *
+   * @return {string} Escaped string
+   */
+  static escape(str) {
+    return str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+
+  /**
+   * Finds the index of the closing brace matching the opening brace at the given
+   * index, accounting for nested braces
+   *
+   * @param {string} glob Glob pattern to search
+   * @param {number} start Index of the opening brace
+   *
+   * @return {number} Index of the closing brace, or -1 if there is none
+   */
+  static findBraceEnd(glob, start) {
+    let depth = 0;
+    for (let i=start; i<glob.length; i++) {
+      const char = glob.charAt(i);
+      if (char === '\\') {
+        i += 1;
+      } else if (char === '{') {
+        depth += 1;
+      } else if (char === '}') {
+        depth -= 1;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Splits the contents of a brace expression on its top level commas
+   *
+   * @param {string} content Contents of the brace expression, without the braces
+   *
+   * @return {string[]} Array of alternatives
+   */
+  static splitAlternatives(content) {
+    const alternatives = [];
+    let depth = 0;
+    let current = '';
+    for (let i=0; i<content.length; i++) {
+      const char = content.charAt(i);
+      if (char === '\\') {
+        current += content.slice(i, i + 2);
+        i += 1;
+        continue;
+      }
+
+      if (char === '{') depth += 1;
+      if (char === '}') depth -= 1;
+      if (char === ',' && depth === 0) {
+        alternatives.push(current);
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+    alternatives.push(current);
+    return alternatives;
+  }
+}
+
+module.exports = Glob;
@@ -0,0 +1,197 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Map of lower case file extensions to MIME types
+ */
+const TYPES = {
+  // Text and documents
+  'html': 'text/html',
+  'htm': 'text/html',
+  'shtml': 'text/html',
+  'xhtml': 'application/xhtml+xml',
+  'css': 'text/css',
+  'csv': 'text/csv',
+  'tsv': 'text/tab-separated-values',
+  'txt': 'text/plain',
+  'text': 'text/plain',
+  'log': 'text/plain',
+  'conf': 'text/plain',
+  'ini': 'text/plain',
+  'md': 'text/markdown',
+  'markdown': 'text/markdown',
+  'rtf': 'application/rtf',
+  'ics': 'text/calendar',
+  'vcf': 'text/vcard',
+  'vtt': 'text/vtt',
+  'srt': 'application/x-subrip',
+  'yaml': 'text/yaml',
+  'yml': 'text/yaml',
+  'xml': 'application/xml',
+  'xsl': 'application/xml',
+  'rss': 'application/rss+xml',
+  'atom': 'application/atom+xml',
+  'sql': 'application/sql',
+  'pdf': 'application/pdf',
+  'doc': 'application/msword',
+  'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'xls': 'application/vnd.ms-excel',
+  'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'ppt': 'application/vnd.ms-powerpoint',
+  'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'odt': 'application/vnd.oasis.opendocument.text',
+  'ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  'odp': 'application/vnd.oasis.opendocument.presentation',
+  'epub': 'application/epub+zip',
+
+  // Scripts and data
+  'js': 'application/javascript',
+  'mjs': 'application/javascript',
+  'cjs': 'application/javascript',
+  'json': 'application/json',
+  'map': 'application/json',
+  'jsonld': 'application/ld+json',
+  'webmanifest': 'application/manifest+json',
+  'wasm': 'application/wasm',
+  'sh': 'application/x-sh',
+
+  // Images
+  'apng': 'image/apng',
+  'avif': 'image/avif',
+  'bmp': 'image/bmp',
+  'gif': 'image/gif',
+  'ico': 'image/x-icon',
+  'cur': 'image/x-icon',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'jfif': 'image/jpeg',
+  'png': 'image/png',
+  'svg': 'image/svg+xml',
+  'svgz': 'image/svg+xml',
+  'tif': 'image/tiff',
+  'tiff': 'image/tiff',
+  'webp': 'image/webp',
+  'heic': 'image/heic',
+  'psd': 'image/vnd.adobe.photoshop',
+
+  // Fonts
+  'woff': 'font/woff',
+  'woff2': 'font/woff2',
+  'ttf': 'font/ttf',
+  'otf': 'font/otf',
+  'eot': 'application/vnd.ms-fontobject',
+
+  // Audio
+  'aac': 'audio/aac',
+  'flac': 'audio/flac',
+  'm4a': 'audio/mp4',
+  'mid': 'audio/midi',
+  'midi': 'audio/midi',
+  'mp3': 'audio/mpeg',
+  'oga': 'audio/ogg',
+  'ogg': 'audio/ogg',
+  'opus': 'audio/opus',
+  'wav': 'audio/wav',
+  'weba': 'audio/webm',
+
+  // Video
+  'avi': 'video/x-msvideo',
+  'm3u8': 'application/vnd.apple.mpegurl',
+  'm4v': 'video/mp4',
+  'mkv': 'video/x-matroska',
+  'mov': 'video/quicktime',
+  'mp4': 'video/mp4',
+  'mpeg': 'video/mpeg',
+  'mpg': 'video/mpeg',
+  'ogv': 'video/ogg',
+  'ts': 'video/mp2t',
+  'webm': 'video/webm',
+  '3gp': 'video/3gpp',
+
+  // Archives and binaries
+  '7z': 'application/x-7z-compressed',
+  'bz2': 'application/x-bzip2',
+  'gz': 'application/gzip',
+  'tgz': 'application/gzip',
+  'jar': 'application/java-archive',
+  'rar': 'application/vnd.rar',
+  'tar': 'application/x-tar',
+  'xz': 'application/x-xz',
+  'zip': 'application/zip',
+  'zst': 'application/zstd',
+  'apk': 'application/vnd.android.package-archive',
+  'dmg': 'application/x-apple-diskimage',
+  'exe': 'application/octet-stream',
+  'bin': 'application/octet-stream',
+  'iso': 'application/octet-stream'
+};
+
+/**
+ * MIME types outside of the `text/` family that also contain text, and should be
+ * served with a charset
+ */
+const TEXT_TYPES = [
+  'application/javascript',
+  'application/json',
+  'application/ld+json',
+  'application/manifest+json',
+  'application/xml',
+  'application/xhtml+xml',
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/sql',
+  'application/x-sh',
+  'application/x-subrip',
+  'image/svg+xml'
+];
+
+/**
+ * Charset applied to text types
+ */
+const DEFAULT_CHARSET = 'utf-8';
+
+/**
+ * Pseudo-Static class determines the MIME type of files from their extension
+ */
+class MimeTypes {
+  /**
+   * Gets the MIME type for a file
+   *
+   * @param {string} filePath Path or object key of the file
+   *
+   * @return {string} MIME type, or null if the extension is not recognized
+   */
+  static getType(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    return TYPES[ext] || null;
+  }
+
+  /**
+   * Checks if a MIME type describes text content
+   *
+   * @param {string} type MIME type to check
+   *
+   * @return {boolean} If the type is a text type
+   */
+  static isText(type) {
+    return type.startsWith('text/') || TEXT_TYPES.includes(type);
+  }
+
+  /**
+   * Gets the value of the `Content-Type` header for a file. Text types include
+   * a charset
+   *
+   * @param {string} filePath Path or object key of the file
+   *
+   * @return {string} Content type, or null if the extension is not recognized
+   */
+  static getContentType(filePath) {
+    const type = MimeTypes.getType(filePath);
+    if (!type) return null;
+    if (MimeTypes.isText(type)) return `${type}; charset=${DEFAULT_CHARSET}`;
+    return type;
+  }
+}
+
+module.exports = MimeTypes;
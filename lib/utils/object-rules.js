@@ -0,0 +1,240 @@
+'use strict';
+
+const FileUtil = require('./file-util.js');
+const PathFilter = require('./path-filter.js');
+
+/**
+ * Map of headers that can be set by rules to the matching S3 request parameter
+ */
+const HEADERS = {
+  'Cache-Control': 'CacheControl',
+  'Content-Disposition': 'ContentDisposition',
+  'Content-Language': 'ContentLanguage',
+  'Content-Type': 'ContentType'
+};
+
+/**
+ * Storage classes objects can be uploaded with
+ */
+const STORAGE_CLASSES = [
+  'STANDARD',
+  'REDUCED_REDUNDANCY',
+  'STANDARD_IA',
+  'ONEZONE_IA',
+  'INTELLIGENT_TIERING',
+  'GLACIER',
+  'GLACIER_IR',
+  'DEEP_ARCHIVE'
+];
+
+/**
+ * Canned ACLs objects can be uploaded with
+ */
+const ACLS = [
+  'private',
+  'public-read',
+  'public-read-write',
+  'authenticated-read',
+  'aws-exec-read',
+  'bucket-owner-read',
+  'bucket-owner-full-control'
+];
+
+/**
+ * This class applies settings to uploaded objects based on a rules file. A rules
+ * file is a JSON array of rules, each with a `match` pattern (or array of patterns)
+ * and the settings to apply to matching files:
+```
+  [
+    {"match": "*.html", "headers": {"Cache-Control": "no-cache"}},
+    {"match": "assets/**", "headers": {"Cache-Control": "public, max-age=31536000"}},
+    {"match": "logs/**", "storageClass": "STANDARD_IA", "tags": {"retention": "90d"}},
+    {"match": "*.zip", "acl": "bucket-owner-full-control", "metadata": {"build": "1234"}}
+  ]
+```
+ * Patterns are matched against file paths relative to the source directory using
+ * the same rules as a `.s3ignore` file. When more than one rule matches a file,
+ * later rules take priority. Tags and metadata are merged key by key
+ */
+class ObjectRules {
+  /**
+   * Constructor takes an array of rules. Rules are validated immediately
+   *
+   * @param {object[]} [rules] Optional: Array of rules
+   * @param {object} [defaults] Optional: Settings applied to every file before any
+   *                            rules, with the same members as a rule except `match`
+   */
+  constructor(rules = [], defaults = {}) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array');
+    }
+
+    /**
+     * Array of validated rules, with parsed patterns
+     */
+    this.rules = rules.map((rule, index) => ObjectRules.parseRule(rule, index));
+
+    /**
+     * Validated settings applied to every file
+     */
+    this.defaults = ObjectRules.parseSettings(defaults, 'Default settings');
+  }
+
+  /**
+   * Gets the list of storage classes objects can be uploaded with
+   *
+   * @return {string[]} Array of storage classes, as S3 expects them
+   */
+  static get STORAGE_CLASSES() {
+    return STORAGE_CLASSES.slice();
+  }
+
+  /**
+   * Gets the list of canned ACLs objects can be uploaded with
+   *
+   * @return {string[]} Array of canned ACLs, as S3 expects them
+   */
+  static get ACLS() {
+    return ACLS.slice();
+  }
+
+  /**
+   * Formats tags as the URL encoded query string S3 expects
+   *
+   * @param {object} tags Object of tag keys to values
+   *
+   * @return {string} Tags in the form `key1=value1&key2=value2`
+   */
+  static formatTags(tags) {
+    return Object.keys(tags).map((key) => {
+      return `${encodeURIComponent(key)}=${encodeURIComponent(tags[key])}`;
+    }).join('&');
+  }
+
+  /**
+   * Loads rules from a JSON rules file
+   *
+   * @param {string|object[]} [filePath] Optional: Path of the rules file, or an array
+   *                                     of rules. If not provided there will be no rules
+   * @param {object} [defaults] Optional: Settings applied to every file before any rules
+   *
+   * @return {Promise} Resolves with an ObjectRules instance
+   */
+  static async load(filePath, defaults = {}) {
+    if (!filePath) return new ObjectRules([], defaults);
+    if (Array.isArray(filePath)) return new ObjectRules(filePath, defaults);
+
+    const content = await FileUtil.readFile(filePath);
+    let rules;
+    try {
+      rules = JSON.parse(content);
+    } catch (e) {
+      throw new Error(`Rules file "${filePath}" is not valid JSON: ${e.message}`);
+    }
+
+    try {
+      return new ObjectRules(rules, defaults);
+    } catch (e) {
+      throw new Error(`Rules file "${filePath}" is invalid: ${e.message}`);
+    }
+  }
+
+  /**
+   * Validates a single rule and parses its patterns
+   *
+   * @param {object} rule Rule to validate
+   * @param {number} index Position of the rule, used for error messages
+   *
+   * @return {object} Object with `patterns`, `params`, `tags`, and `metadata` members
+   */
+  static parseRule(rule, index) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`Rule ${index} must be an object`);
+    }
+
+    const matches = [].concat(rule.match || []);
+    if (!matches.length || matches.some((match) => typeof match !== 'string')) {
+      throw new Error(`Rule ${index} must have a "match" pattern or array of patterns`);
+    }
+
+    return Object.assign({patterns: matches.map(PathFilter.parseRule)}, ObjectRules.parseSettings(rule, `Rule ${index}`));
+  }
+
+  /**
+   * Validates the settings of a rule: `headers`, `storageClass`, `acl`, `tags`, and
+   * `metadata`
+   *
+   * @param {object} rule Rule to validate
+   * @param {string} name Name of the rule, used for error messages
+   *
+   * @return {object} Object with `params` (S3 request parameters), `tags`, and
+   *                  `metadata` members
+   */
+  static parseSettings(rule, name) {
+    const params = {};
+    const headers = rule.headers || {};
+    Object.keys(headers).forEach((header) => {
+      const param = HEADERS[header];
+      if (!param) {
+        throw new Error(`${name} has unsupported header "${header}"`);
+      }
+      params[param] = String(headers[header]);
+    });
+
+    if (rule.storageClass) {
+      params.StorageClass = String(rule.storageClass).toUpperCase();
+      if (!STORAGE_CLASSES.includes(params.StorageClass)) {
+        throw new Error(`${name} has unsupported storage class "${rule.storageClass}"`);
+      }
+    }
+    if (rule.acl) {
+      params.ACL = String(rule.acl).toLowerCase();
+      if (!ACLS.includes(params.ACL)) {
+        throw new Error(`${name} has unsupported ACL "${rule.acl}"`);
+      }
+    }
+
+    const getMap = (key) => {
+      const map = rule[key] || {};
+      if (typeof map !== 'object' || Array.isArray(map)) {
+        throw new Error(`${name} has invalid "${key}", which must be an object`);
+      }
+      const values = {};
+      Object.keys(map).forEach((mapKey) => {
+        values[mapKey] = String(map[mapKey]);
+      });
+      return values;
+    };
+
+    return {
+      params,
+      tags: getMap('tags'),
+      metadata: getMap('metadata')
+    };
+  }
+
+  /**
+   * Gets the S3 request parameters for a file
+   *
+   * @param {string} relPath "unix" style file path relative to the source directory
+   *
+   * @return {object} S3 request parameters to apply to the upload
+   */
+  getParams(relPath) {
+    const params = Object.assign({}, this.defaults.params);
+    const tags = Object.assign({}, this.defaults.tags);
+    const metadata = Object.assign({}, this.defaults.metadata);
+    this.rules.forEach((rule) => {
+      if (!rule.patterns.some((pattern) => pattern && pattern.regExp.test(relPath))) return;
+      Object.assign(params, rule.params);
+      Object.assign(tags, rule.tags);
+      Object.assign(metadata, rule.metadata);
+    });
+
+    if (Object.keys(tags).length) params.Tagging = ObjectRules.formatTags(tags);
+    if (Object.keys(metadata).length) params.Metadata = metadata;
+    return params;
+  }
+}
+
+module.exports = ObjectRules;
@@ -0,0 +1,127 @@
+'use strict';
+
+const Glob = require('./glob.js');
+
+/**
+ * This class decides which files and directories within a directory should be
+ * processed, using include patterns, exclude patterns, and ignore file rules
+ *
+ * Exclude patterns and ignore file rules follow "gitignore" semantics:
+ * - Blank lines and lines beginning with `#` are ignored
+ * - A leading `!` negates the pattern, re-including anything a previous pattern excluded
+ * - A trailing `/` means the pattern only matches directories
+ * - Patterns containing a `/` are matched relative to the base directory, while
+ *   patterns without one are matched against the name at any depth
+ * - The last matching pattern wins
+ *
+ * Include patterns are matched the same way, but only apply to files. If any include
+ * patterns are provided, files must match at least one of them to be processed
+ */
+class PathFilter {
+  /**
+   * Constructor takes lists of patterns
+   *
+   * @param {object} [opts] Optional: Filter patterns
+   * @param {string[]} [opts.include] Patterns files must match to be included
+   * @param {string[]} [opts.exclude] Patterns for files and directories to exclude
+   */
+  constructor(opts = {}) {
+    /**
+     * Parsed rules for files to include
+     */
+    this.includeRules = (opts.include || []).map(PathFilter.parseRule).filter((rule) => rule);
+
+    /**
+     * Parsed rules for files and directories to exclude, in order
+     */
+    this.excludeRules = (opts.exclude || []).map(PathFilter.parseRule).filter((rule) => rule);
+  }
+
+  /**
+   * Parses a single "gitignore" style pattern
+   *
+   * @param {string} line Pattern to parse
+   *
+   * @return {object} Parsed rule, or null if the line contains no pattern
+   */
+  static parseRule(line) {
+    let pattern = line.replace(/\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+      negate = true;
+      pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+      pattern = pattern.slice(1);
+    }
+
+    let dirOnly = false;
+    if (pattern.endsWith('/')) {
+      dirOnly = true;
+      pattern = pattern.slice(0, -1);
+    }
+
+    // Patterns with a slash are relative to the base directory, others match at any depth
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    const source = anchored ? Glob.toSource(pattern) : `(?:.*/)?${Glob.toSource(pattern)}`;
+
+    return {
+      negate,
+      dirOnly,
+      regExp: new RegExp(`^${source}$`)
+    };
+  }
+
+  /**
+   * Parses the contents of an ignore file into a list of patterns
+   *
+   * @param {string} content Content of the ignore file
+   *
+   * @return {string[]} Array of patterns
+   */
+  static parseIgnoreFile(content) {
+    return content.toString().split(/\r?\n/);
+  }
+
+  /**
+   * Checks if a single file or directory should be processed. Parent directories
+   * are not checked, making this suitable for use while walking a directory tree
+   *
+   * @param {string} relPath "unix" style path relative to the base directory
+   * @param {boolean} isDir If the path is a directory
+   *
+   * @return {boolean} If the path should be processed
+   */
+  test(relPath, isDir) {
+    let excluded = false;
+    this.excludeRules.forEach((rule) => {
+      if (rule.dirOnly && !isDir) return;
+      if (rule.regExp.test(relPath)) excluded = !rule.negate;
+    });
+    if (excluded) return false;
+
+    // Directories must always be walked in case they contain included files
+    if (isDir || !this.includeRules.length) return true;
+    return this.includeRules.some((rule) => rule.regExp.test(relPath));
+  }
+
+  /**
+   * Checks if a file should be processed, including checks for all of its parent
+   * directories
+   *
+   * @param {string} relPath "unix" style file path relative to the base directory
+   *
+   * @return {boolean} If the file should be processed
+   */
+  accepts(relPath) {
+    const parts = relPath.split('/');
+    for (let i=1; i<parts.length; i++) {
+      if (!this.test(parts.slice(0, i).join('/'), true)) return false;
+    }
+    return this.test(relPath, false);
+  }
+}
+
+module.exports = PathFilter;
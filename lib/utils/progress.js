@@ -0,0 +1,360 @@
+'use strict';
+
+const readline = require('readline');
+
+const CliUtil = require('./cli-util.js');
+const EventLog = require('./event-log.js');
+
+/**
+ * How often the display is redrawn when writing to a terminal, in milliseconds
+ */
+const TTY_INTERVAL = 250;
+
+/**
+ * How often a progress line is printed when not writing to a terminal, in milliseconds
+ */
+const PLAIN_INTERVAL = 5000;
+
+/**
+ * How far back transfer speed is measured, in milliseconds
+ */
+const SPEED_WINDOW = 5000;
+
+/**
+ * Console methods that are routed around the display while it is drawn
+ */
+const CONSOLE_METHODS = ['log', 'info', 'debug', 'warn', 'error'];
+
+/**
+ * This class displays the progress of uploads, using the events emitted by the
+ * S3 class
+ *
+ * When writing to a terminal, a block of lines showing every active upload and
+ * the overall progress is redrawn in place. Anything written to the console in
+ * the meantime, such as retry warnings, is printed above the block. Otherwise a
+ * line is printed as each file finishes, along with the overall progress every
+ * few seconds
+ */
+class Progress {
+  /**
+   * Constructor takes display options
+   *
+   * @param {object} [opts] Optional: Display options
+   * @param {WritableStream} [opts.stream] Stream to write to. Defaults to the stream
+   *                                       used for human readable output
+   * @param {number} [opts.totalBytes] Total number of bytes that will be uploaded
+   * @param {number} [opts.totalFiles] Total number of files that will be uploaded
+   * @param {boolean} [opts.showMemory] If memory usage should be displayed
+   */
+  constructor(opts = {}) {
+    /**
+     * The stream progress is written to
+     */
+    this.stream = opts.stream || EventLog.humanStream;
+
+    /**
+     * If the display can be redrawn in place
+     */
+    this.tty = !!this.stream.isTTY;
+
+    /**
+     * Total number of bytes and files that will be uploaded
+     */
+    this.totalBytes = opts.totalBytes || 0;
+    this.totalFiles = opts.totalFiles || 0;
+
+    /**
+     * If memory usage should be displayed
+     */
+    this.showMemory = !!opts.showMemory;
+
+    /**
+     * Map of object keys to the progress of active uploads
+     */
+    this.files = {};
+
+    /**
+     * Number of bytes sent, and number of files finished or failed, across all uploads
+     */
+    this.loaded = 0;
+    this.finished = 0;
+    this.failed = 0;
+
+    /**
+     * Array of recent `{time, loaded}` samples used to measure transfer speed
+     */
+    this.samples = [];
+
+    /**
+     * Number of lines currently drawn on the terminal
+     */
+    this.linesDrawn = 0;
+
+    /**
+     * The S3 instance being listened to
+     */
+    this.s3 = null;
+
+    /**
+     * Time the display was started
+     */
+    this.startTime = null;
+
+    /**
+     * Interval that redraws the display
+     */
+    this.interval = null;
+
+    /**
+     * Map of console method names to the methods replaced while the display is active
+     */
+    this.consoleMethods = {};
+
+    /**
+     * Map of event names to the listeners attached to the S3 instance
+     */
+    this.listeners = {
+      uploadStart: (event) => this.onStart(event),
+      uploadProgress: (event) => this.onProgress(event),
+      uploadEnd: (event) => this.onEnd(event),
+      uploadError: (event) => this.onError(event)
+    };
+  }
+
+  /**
+   * Formats a number of seconds as a short duration, such as `1h05m` or `42s`
+   *
+   * @param {number} seconds Number of seconds
+   *
+   * @return {string} Formatted duration
+   */
+  static formatDuration(seconds) {
+    seconds = Math.round(seconds);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const pad = (value) => `${value}`.padStart(2, '0');
+    if (hours) return `${hours}h${pad(minutes)}m`;
+    if (minutes) return `${minutes}m${pad(seconds % 60)}s`;
+    return `${seconds}s`;
+  }
+
+  /**
+   * Begins displaying the progress of uploads made by an S3 instance
+   *
+   * @param {S3} s3 S3 instance to listen to
+   */
+  start(s3) {
+    this.s3 = s3;
+    Object.keys(this.listeners).forEach((event) => s3.on(event, this.listeners[event]));
+
+    this.startTime = Date.now();
+    this.interval = setInterval(() => this.render(), this.tty ? TTY_INTERVAL : PLAIN_INTERVAL);
+
+    // The display is redrawn by moving the cursor up, so nothing else can be left
+    // between it and the cursor
+    if (this.tty) {
+      CONSOLE_METHODS.forEach((method) => {
+        const original = console[method];
+        this.consoleMethods[method] = original;
+        console[method] = (...args) => {
+          const drawn = this.linesDrawn > 0;
+          this.clear();
+          original(...args);
+          if (drawn) this.draw();
+        };
+      });
+    }
+  }
+
+  /**
+   * Stops displaying progress, and prints the total amount uploaded and the
+   * average speed
+   */
+  stop() {
+    clearInterval(this.interval);
+    Object.keys(this.listeners).forEach((event) => this.s3.removeListener(event, this.listeners[event]));
+    Object.keys(this.consoleMethods).forEach((method) => {
+      console[method] = this.consoleMethods[method];
+    });
+    this.consoleMethods = {};
+
+    const elapsed = (Date.now() - this.startTime) / 1000;
+    const speed = elapsed ? Math.round(this.loaded / elapsed) : 0;
+    this.clear();
+    this.stream.write(`Uploaded ${this.finished}/${this.totalFiles} files, ${CliUtil.formatBytes(this.loaded)} ` +
+      `in ${Progress.formatDuration(elapsed)} (${CliUtil.formatBytes(speed)}/s)\n`);
+  }
+
+  /**
+   * Handles the start of an upload
+   *
+   * @param {object} event Event with `key` and `size` members
+   */
+  onStart(event) {
+    this.files[event.key] = {
+      size: event.size,
+      loaded: 0,
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * Handles bytes being sent for an upload
+   *
+   * @param {object} event Event with `key` and `bytes` members
+   */
+  onProgress(event) {
+    this.loaded += event.bytes;
+    if (this.files[event.key]) this.files[event.key].loaded += event.bytes;
+  }
+
+  /**
+   * Handles the end of an upload
+   *
+   * @param {object} event Event with `key` and `size` members
+   */
+  onEnd(event) {
+    const file = this.files[event.key];
+    delete this.files[event.key];
+    this.finished += 1;
+
+    const elapsed = file ? (Date.now() - file.startTime) / 1000 : 0;
+    const size = file ? file.loaded : event.size;
+    this.print(`Finished: ${event.key} (${CliUtil.formatBytes(size)} in ${Progress.formatDuration(elapsed)})`);
+  }
+
+  /**
+   * Handles a failed upload. Bytes sent for the upload no longer count as progress
+   *
+   * @param {object} event Event with `key` and `error` members
+   */
+  onError(event) {
+    const file = this.files[event.key];
+    delete this.files[event.key];
+    this.failed += 1;
+    if (file) this.loaded -= file.loaded;
+
+    this.print(`Failed: ${event.key} (${event.error.code || event.error.message})`);
+  }
+
+  /**
+   * Measures the recent transfer speed across all uploads
+   *
+   * @return {number} Speed in bytes per second
+   */
+  getSpeed() {
+    const now = Date.now();
+    this.samples.push({time: now, loaded: this.loaded});
+    while (this.samples.length > 1 && now - this.samples[0].time > SPEED_WINDOW) {
+      this.samples.shift();
+    }
+
+    const first = this.samples[0];
+    const elapsed = (now - first.time) / 1000;
+    if (!elapsed) return 0;
+    return Math.max(0, (this.loaded - first.loaded) / elapsed);
+  }
+
+  /**
+   * Formats a line showing the progress of a single upload
+   *
+   * @param {string} key Object key of the upload
+   *
+   * @return {string} Formatted line
+   */
+  formatFile(key) {
+    const file = this.files[key];
+    const elapsed = (Date.now() - file.startTime) / 1000;
+    const speed = elapsed ? Math.round(file.loaded / elapsed) : 0;
+
+    let line = `  ${key}  ${CliUtil.formatBytes(file.loaded)}`;
+    if (file.size) {
+      const percent = Math.floor(file.loaded / file.size * 100);
+      line += ` / ${CliUtil.formatBytes(file.size)} (${percent}%)`;
+    }
+    return `${line}  ${CliUtil.formatBytes(speed)}/s`;
+  }
+
+  /**
+   * Formats a line showing the overall progress of all uploads
+   *
+   * @return {string} Formatted line
+   */
+  formatTotal() {
+    const speed = Math.round(this.getSpeed());
+    const done = this.finished + this.failed;
+
+    let line = `Progress: ${done}/${this.totalFiles} files, ${CliUtil.formatBytes(this.loaded)}`;
+    if (this.totalBytes) {
+      const percent = Math.floor(this.loaded / this.totalBytes * 100);
+      line += ` / ${CliUtil.formatBytes(this.totalBytes)} (${percent}%)`;
+    }
+    line += `, ${CliUtil.formatBytes(speed)}/s`;
+
+    if (this.totalBytes && speed && this.loaded < this.totalBytes) {
+      line += `, ETA ${Progress.formatDuration((this.totalBytes - this.loaded) / speed)}`;
+    }
+    if (this.showMemory) {
+      line += `, Memory: ${(process.memoryUsage().rss / 1000 / 1000).toFixed(1)} MB`;
+    }
+    return line;
+  }
+
+  /**
+   * Writes a single line to the output stream, shortened to fit the terminal
+   *
+   * @param {string} line Line to write
+   */
+  write(line) {
+    if (this.tty && this.stream.columns && line.length >= this.stream.columns) {
+      line = `${line.slice(0, this.stream.columns - 4)}...`;
+    }
+    this.stream.write(`${line}\n`);
+  }
+
+  /**
+   * Prints a line above the progress display, so that it is not redrawn over
+   *
+   * @param {string} line Line to print
+   */
+  print(line) {
+    this.clear();
+    this.write(line);
+    if (this.tty) this.draw();
+  }
+
+  /**
+   * Removes the progress display from the terminal
+   */
+  clear() {
+    if (!this.linesDrawn) return;
+    readline.moveCursor(this.stream, 0, -this.linesDrawn);
+    readline.clearScreenDown(this.stream);
+    this.linesDrawn = 0;
+  }
+
+  /**
+   * Draws the progress display on the terminal
+   */
+  draw() {
+    const lines = Object.keys(this.files).map((key) => this.formatFile(key));
+    lines.push(this.formatTotal());
+    lines.forEach((line) => this.write(line));
+    this.linesDrawn = lines.length;
+  }
+
+  /**
+   * Updates the display. Terminals are redrawn in place, otherwise the overall
+   * progress is printed on a new line
+   */
+  render() {
+    if (this.tty) {
+      this.clear();
+      this.draw();
+    } else {
+      this.write(this.formatTotal());
+    }
+  }
+}
+
+module.exports = Progress;
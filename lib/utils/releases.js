@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * Path all releases are stored in, within the bucket
+ */
+const RELEASES_PATH = 'releases/';
+
+/**
+ * Name of the object that records the releases of a site, within its releases path
+ */
+const STATE_KEY = 'releases.json';
+
+/**
+ * Status code of the redirects to the current release. Browsers remember
+ * permanent (301) redirects, which would keep visitors on an old release
+ */
+const REDIRECT_CODE = '302';
+
+/**
+ * This class keeps track of the releases of a site deployed to S3, and switches
+ * the site between them
+ *
+ * Each release is uploaded in full to its own path, `releases/<site_path>/<name>/`,
+ * before the site is switched to it. Releases are named by the time they were
+ * created, so they sort from oldest to newest. Only releases that finished
+ * uploading are recorded in the `releases.json` object of the releases path,
+ * along with the release the site is currently using
+ *
+ * The site is switched in one of two ways:
+ * - `entrypoints`: Every object of the release is copied to the site path, so pages
+ *   can load other files with relative URLs. The entrypoint objects (such as
+ *   `index.html`) are copied last, so they only change once everything they load
+ *   is in place
+ * - `website`: The bucket's website configuration is changed to redirect requests
+ *   for the site path to the release path, and the error document is pointed at
+ *   the release. Visitors see the URLs of the release, so links to any release
+ *   may have been shared, and releases should not be pruned
+ */
+class Releases {
+  /**
+   * Constructor takes the bucket and path of the site. Recorded releases are not
+   * read until `load` is called
+   *
+   * @param {S3} s3 S3 instance used to read and change the site
+   * @param {string} bucket Name of the bucket the site is in
+   * @param {string} sitePath Path of the site within the bucket. May be empty
+   */
+  constructor(s3, bucket, sitePath) {
+    this.s3 = s3;
+    this.bucket = bucket;
+
+    /**
+     * Path of the site, with a trailing slash unless it is the whole bucket
+     */
+    this.sitePath = sitePath && !sitePath.endsWith('/') ? `${sitePath}/` : sitePath;
+
+    /**
+     * Path the releases of the site are stored in
+     */
+    this.path = `${RELEASES_PATH}${this.sitePath}`;
+
+    /**
+     * Names of the releases that finished uploading, from oldest to newest
+     */
+    this.releases = [];
+
+    /**
+     * Name of the release the site is using, or null if it has never been switched
+     */
+    this.current = null;
+  }
+
+  /**
+   * Creates the name of a new release
+   *
+   * @param {Date} [date] Optional: Time the release was created. Defaults to now
+   *
+   * @return {string} Release name, such as `20240131T235959Z`
+   */
+  static createName(date = new Date()) {
+    return date.toISOString().replace(/\.\d+/, '').replace(/[-:]/g, '');
+  }
+
+  /**
+   * Gets the path the objects of a release are stored in
+   *
+   * @param {string} name Name of the release
+   *
+   * @return {string} Path of the release, with a trailing slash
+   */
+  getReleasePath(name) {
+    return `${this.path}${name}/`;
+  }
+
+  /**
+   * Gets the path of an object within the release of this site it belongs to
+   *
+   * @param {string} key Object key
+   *
+   * @return {string} Path of the object within its release, or null if the object
+   *                  is not part of a release of this site
+   */
+  getReleaseKey(key) {
+    if (!key.startsWith(this.path)) return null;
+    const match = key.slice(this.path.length).match(/^(\d{8}T\d{6}Z)\/(.*)$/);
+    return match ? match[2] : null;
+  }
+
+  /**
+   * Reads the recorded releases from S3. A site without any releases is not an
+   * error
+   *
+   * @return {Promise} Resolves once the releases have been read
+   */
+  async load() {
+    let res;
+    try {
+      res = await this.s3.getS3Object(this.bucket, `${this.path}${STATE_KEY}`);
+    } catch (e) {
+      if (e.code === 'NoSuchKey') return;
+      throw e;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(res.Body.toString());
+    } catch (e) {
+      throw new Error(`Releases of "${this.bucket}/${this.path}" could not be read: ${e.message}`);
+    }
+    if (!state || !Array.isArray(state.releases)) {
+      throw new Error(`Releases of "${this.bucket}/${this.path}" could not be read: "releases" is missing`);
+    }
+    this.releases = state.releases;
+    this.current = state.current || null;
+  }
+
+  /**
+   * Records the releases in S3
+   *
+   * @return {Promise} Resolves once the releases have been written
+   */
+  async save() {
+    const body = JSON.stringify({current: this.current, releases: this.releases}, null, 2);
+    await this.s3.putS3Object(body, this.bucket, `${this.path}${STATE_KEY}`, {
+      ContentType: 'application/json',
+      CacheControl: 'no-cache'
+    });
+  }
+
+  /**
+   * Gets the release a rollback switches to
+   *
+   * @param {string} [name] Optional: Name of the release to switch to. Defaults to
+   *                        the release before the current one
+   *
+   * @return {string} Name of the release
+   */
+  getRollbackTarget(name = null) {
+    if (name) {
+      if (!this.releases.includes(name)) {
+        throw new Error(`Release "${name}" does not exist. Releases: ${this.releases.join(', ') || 'none'}`);
+      }
+      if (name === this.current) {
+        throw new Error(`Release "${name}" is already the current release`);
+      }
+      return name;
+    }
+
+    const index = this.releases.indexOf(this.current);
+    if (index < 1) {
+      throw new Error('There is no release before the current release to roll back to');
+    }
+    return this.releases[index - 1];
+  }
+
+  /**
+   * Switches the site to a release, and records it as the current release
+   *
+   * @param {string} name Name of the release
+   * @param {string} method How the site is switched, either `entrypoints` or `website`
+   * @param {string[]} entrypoints Paths of the entrypoint objects within the release,
+   *                               used by the `entrypoints` method
+   *
+   * @return {Promise} Resolves once the site is using the release
+   */
+  async switchTo(name, method, entrypoints) {
+    if (method === 'website') {
+      await this.switchWebsite(name);
+    } else {
+      await this.switchEntrypoints(name, entrypoints);
+    }
+
+    if (!this.releases.includes(name)) this.releases.push(name);
+    this.current = name;
+    await this.save();
+  }
+
+  /**
+   * Copies every object of a release to the site path, with the entrypoint objects
+   * copied last. Every entrypoint is checked before anything is copied, so a
+   * missing entrypoint changes nothing. Objects left in the site path by earlier
+   * releases are kept, so pages that are already open can still load them
+   *
+   * @param {string} name Name of the release
+   * @param {string[]} entrypoints Paths of the entrypoint objects within the release
+   *
+   * @return {Promise} Resolves once every object has been copied
+   */
+  async switchEntrypoints(name, entrypoints) {
+    const releasePath = this.getReleasePath(name);
+    for (let i=0; i<entrypoints.length; i++) {
+      const head = await this.s3.headS3Object(this.bucket, `${releasePath}${entrypoints[i]}`);
+      if (!head) {
+        throw new Error(`Entrypoint "${entrypoints[i]}" does not exist in release "${name}"`);
+      }
+    }
+
+    const releaseKeys = (await this.s3.getS3ObjectList(this.bucket, releasePath))
+        .map((key) => key.slice(releasePath.length))
+        .filter((key) => key && !key.endsWith('/') && !entrypoints.includes(key));
+    const copy = (key) => this.s3.copyS3Object(this.bucket, `${releasePath}${key}`, this.bucket, `${this.sitePath}${key}`);
+
+    // Copies are limited by the scheduler of the S3 instance. Let them all settle
+    // before failing, so none finish after the error is reported
+    const results = await Promise.all(releaseKeys.map((key) => copy(key).then(() => ({}), (e) => ({error: e}))));
+    const failed = results.find((result) => result.error);
+    if (failed) throw failed.error;
+
+    for (let i=0; i<entrypoints.length; i++) {
+      await copy(entrypoints[i]);
+    }
+  }
+
+  /**
+   * Changes the website configuration of the bucket to serve a release. Routing
+   * rules and documents that don't belong to this site are kept
+   *
+   * @param {string} name Name of the release
+   *
+   * @return {Promise} Resolves once the configuration has been replaced
+   */
+  async switchWebsite(name) {
+    const releasePath = this.getReleasePath(name);
+    const current = await this.s3.getS3BucketWebsite(this.bucket);
+    if (current && current.RedirectAllRequestsTo) {
+      throw new Error(`Bucket "${this.bucket}" redirects every request, so it can not serve a release`);
+    }
+
+    const websiteConfig = {
+      IndexDocument: current && current.IndexDocument ? current.IndexDocument : {Suffix: 'index.html'}
+    };
+
+    // Error documents in the site path or an earlier release are moved to the same
+    // document in this release, as long as the release has one
+    if (current && current.ErrorDocument) {
+      let errorKey = this.getReleaseKey(current.ErrorDocument.Key);
+      if (errorKey === null && current.ErrorDocument.Key.startsWith(this.sitePath)) {
+        errorKey = current.ErrorDocument.Key.slice(this.sitePath.length);
+      }
+      const moved = errorKey && await this.s3.headS3Object(this.bucket, `${releasePath}${errorKey}`);
+      websiteConfig.ErrorDocument = {Key: moved ? `${releasePath}${errorKey}` : current.ErrorDocument.Key};
+    }
+
+    // The redirect for this site replaces the redirect to any earlier release
+    const routingRules = ((current && current.RoutingRules) || []).filter((rule) => {
+      const redirect = rule.Redirect || {};
+      return this.getReleaseKey(redirect.ReplaceKeyPrefixWith || '') !== '';
+    });
+    routingRules.push({
+      Condition: {KeyPrefixEquals: this.sitePath},
+      Redirect: {ReplaceKeyPrefixWith: releasePath, HttpRedirectCode: REDIRECT_CODE}
+    });
+    websiteConfig.RoutingRules = routingRules;
+
+    await this.s3.putS3BucketWebsite(this.bucket, websiteConfig);
+  }
+
+  /**
+   * Deletes the oldest releases, keeping the newest ones and the current release
+   *
+   * @param {number} keep Number of releases to keep, including the current release
+   *
+   * @return {Promise} Resolves with the names of the deleted releases
+   */
+  async prune(keep) {
+    const pruned = this.releases.slice(0, Math.max(this.releases.length - keep, 0))
+        .filter((name) => name !== this.current);
+    if (!pruned.length) return [];
+
+    for (let i=0; i<pruned.length; i++) {
+      const keys = await this.s3.getS3ObjectList(this.bucket, this.getReleasePath(pruned[i]));
+      const res = await this.s3.deleteS3Objects(this.bucket, keys);
+      if (res.Errors.length) {
+        throw new Error(`Failed to delete ${res.Errors.length} objects of release "${pruned[i]}"`);
+      }
+
+      // Releases are forgotten one at a time, so a failure leaves the rest recorded
+      this.releases = this.releases.filter((name) => name !== pruned[i]);
+      await this.save();
+    }
+    return pruned;
+  }
+}
+
+module.exports = Releases;
@@ -0,0 +1,253 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const FileUtil = require('./file-util.js');
+
+/**
+ * Default location of the file used to store resume state
+ */
+const DEFAULT_STATE_FILE = path.join(os.homedir(), '.simplys3-resume.json');
+
+/**
+ * Number of milliseconds to wait before trying to take the state file lock again
+ */
+const LOCK_RETRY_DELAY = 25;
+
+/**
+ * Number of milliseconds after which a lock is assumed to belong to a process that
+ * crashed, and is taken over. Saves only take a few milliseconds
+ */
+const LOCK_STALE_TIME = 10000;
+
+/**
+ * This class keeps track of in-progress multi-part uploads on disk, so that an
+ * upload that is interrupted can be resumed by a later run instead of starting over
+ *
+ * Uploads are identified by the full path, size, and modified time of the file
+ * being uploaded, along with the destination of the upload. If the file changes
+ * it will be uploaded from the beginning
+ */
+class ResumeState {
+  /**
+   * Constructor takes the path of the state file. The state file is not read
+   * until `load` is called
+   *
+   * @param {string} [filePath] Optional: Path of the state file
+   */
+  constructor(filePath = DEFAULT_STATE_FILE) {
+    /**
+     * Path of the file state is stored in
+     */
+    this.filePath = filePath;
+
+    /**
+     * Map of upload IDs to in-progress upload data
+     */
+    this.uploads = {};
+
+    /**
+     * IDs of the uploads changed by this process. Other processes may be using the
+     * same state file, so these are the only uploads this process writes
+     */
+    this.changedIds = new Set();
+
+    /**
+     * Promise for the most recent save. Saves are chained so that only one write
+     * happens at a time
+     */
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Gets the ID used to identify the upload of a file
+   *
+   * @param {string} filePath Path of the file being uploaded
+   * @param {fs.Stats} stats Stats of the file being uploaded
+   * @param {string} bucket The bucket being uploaded to
+   * @param {string} key Object key for the object being uploaded
+   *
+   * @return {string} Upload ID
+   */
+  static getId(filePath, stats, bucket, key) {
+    return `${path.resolve(filePath)}:${stats.size}:${stats.mtime.getTime()}:${bucket}/${key}`;
+  }
+
+  /**
+   * Loads state from the state file. A missing state file is not an error
+   *
+   * @return {Promise} Resolves once state has been loaded
+   */
+  async load() {
+    this.uploads = await this.read();
+  }
+
+  /**
+   * Reads the uploads in the state file. A missing state file has no uploads
+   *
+   * @return {Promise} Resolves with the map of upload IDs to upload data
+   */
+  async read() {
+    let content;
+    try {
+      content = await FileUtil.readFile(this.filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+
+    try {
+      return JSON.parse(content).uploads || {};
+    } catch (e) {
+      console.warn(`Resume state file "${this.filePath}" could not be parsed and will be ignored`);
+      return {};
+    }
+  }
+
+  /**
+   * Gets the data for an in-progress upload
+   *
+   * @param {string} id Upload ID
+   *
+   * @return {object} Upload data, or null if there is no upload with the given ID
+   */
+  get(id) {
+    return this.uploads[id] || null;
+  }
+
+  /**
+   * Gets the IDs of all other uploads to the same object. These are uploads of
+   * previous versions of a file that can never be resumed
+   *
+   * @param {string} id ID of the current upload
+   * @param {string} bucket The bucket being uploaded to
+   * @param {string} key Object key for the object being uploaded
+   *
+   * @return {string[]} Array of upload IDs
+   */
+  getStaleIds(id, bucket, key) {
+    return Object.keys(this.uploads).filter((uploadId) => {
+      const upload = this.uploads[uploadId];
+      return uploadId !== id && upload.bucket === bucket && upload.key === key;
+    });
+  }
+
+  /**
+   * Sets the data for an upload and saves the state file
+   *
+   * @param {string} id Upload ID
+   * @param {object} upload Upload data
+   *
+   * @return {Promise} Resolves once state has been saved
+   */
+  async set(id, upload) {
+    this.uploads[id] = upload;
+    this.changedIds.add(id);
+    return this.save();
+  }
+
+  /**
+   * Records a completed part for an upload and saves the state file
+   *
+   * @param {string} id Upload ID
+   * @param {object} part Part object with `ETag` and `PartNumber` members
+   *
+   * @return {Promise} Resolves once state has been saved
+   */
+  async addPart(id, part) {
+    if (!this.uploads[id]) return;
+    this.uploads[id].parts.push(part);
+    this.changedIds.add(id);
+    return this.save();
+  }
+
+  /**
+   * Removes an upload and saves the state file
+   *
+   * @param {string} id Upload ID
+   *
+   * @return {Promise} Resolves once state has been saved
+   */
+  async delete(id) {
+    if (!this.uploads[id]) return;
+    delete this.uploads[id];
+    this.changedIds.add(id);
+    return this.save();
+  }
+
+  /**
+   * Gets the path of the lock file, which exists while a process is saving
+   *
+   * @return {string} Path of the lock file
+   */
+  getLockPath() {
+    return `${this.filePath}.lock`;
+  }
+
+  /**
+   * Takes the lock on the state file, waiting for any other process saving to
+   * finish first
+   *
+   * @return {Promise} Resolves once the lock is held
+   */
+  async lock() {
+    const lockPath = this.getLockPath();
+    for (;;) {
+      try {
+        await FileUtil.writeFile(lockPath, `${process.pid}`, {flag: 'wx'});
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+
+      // Locks left behind by processes that crashed would otherwise never be released
+      const stats = await FileUtil.getStats(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtime.getTime() > LOCK_STALE_TIME) {
+        await FileUtil.removeFile(lockPath).catch(() => {});
+        continue;
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+  }
+
+  /**
+   * Writes the uploads changed by this process to the state file. The file is read
+   * again first, so uploads saved by other processes are kept. Data is written to
+   * a temporary file unique to this save, so the state file is never left half
+   * written
+   *
+   * Saving only makes uploads resumable, so a failed save is reported as a warning
+   * rather than failing the upload
+   *
+   * @return {Promise} Resolves once state has been saved, or has failed to save
+   */
+  async save() {
+    this.saving = this.saving.then(async () => {
+      await this.lock();
+      try {
+        const uploads = await this.read();
+        this.changedIds.forEach((id) => {
+          if (this.uploads[id]) {
+            uploads[id] = this.uploads[id];
+          } else {
+            delete uploads[id];
+          }
+        });
+        this.uploads = uploads;
+
+        const tempPath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await FileUtil.writeFile(tempPath, JSON.stringify({uploads}, null, 2));
+        await FileUtil.rename(tempPath, this.filePath);
+      } finally {
+        await FileUtil.removeFile(this.getLockPath()).catch(() => {});
+      }
+    }).catch((e) => {
+      console.warn(`Resume state could not be saved to "${this.filePath}": ${e.message}`);
+    });
+    return this.saving;
+  }
+}
+
+module.exports = ResumeState;
@@ -2,10 +2,56 @@
 
 const AWS = require('aws-sdk');
 const path = require('path');
+const EventEmitter = require('events');
+
+const FileUtil = require('./file-util.js');
+const ResumeState = require('./resume-state.js');
+const Scheduler = require('./scheduler.js');
+const MimeTypes = require('./mime-types.js');
+const Checksum = require('./checksum.js');
+const Compression = require('./compression.js');
+const ObjectRules = require('./object-rules.js');
 
 // Get config
 const config = require('../../config/s3-config.js');
 
+/**
+ * Error codes that indicate a request failed for a transient reason and can be
+ * retried. Any 5xx or 429 response is also considered retryable
+ */
+const RETRYABLE_CODES = [
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'RequestThrottled',
+  'InternalError',
+  'ServiceUnavailable',
+  'NetworkingError',
+  'TimeoutError',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+/**
+ * The maximum number of keys that can be deleted with a single request
+ */
+const MAX_DELETE_KEYS = 1000;
+
+/**
+ * The maximum number of parts a multi-part upload can have
+ */
+const MAX_PARTS = 10000;
+
+/**
+ * Error code of uploads that are abandoned because the stream reached its size limit
+ */
+const SIZE_LIMIT_CODE = 'SizeLimitExceeded';
+
 /**
  * Helper class assists with processing read streams
  */
@@ -14,8 +60,9 @@ class ReadStreamHandler {
    * Constructor takes a readable stream and prepares local variables
    *
    * @param {ReadableStream} readStream Readable Stream that will be processed
+   * @param {number} [max] Optional: The maximum number of Bytes allowed per chunk
    */
-  constructor(readStream) {
+  constructor(readStream, max = config.MAX_BYTES) {
     /**
      * The stream that is being processed
      */
@@ -24,7 +71,7 @@ class ReadStreamHandler {
     /**
      * The maximum number of Bytes allowed per chunk
      */
-    this.max = config.MAX_BYTES;
+    this.max = max;
 
     /**
      * Array of chunks that are currently being processed into one large chunk
@@ -37,6 +84,12 @@ class ReadStreamHandler {
      */
     this.closed = false;
 
+    /**
+     * Error emitted by the stream, if any. Errors can happen while no chunk is
+     * being read, so they are kept until the next chunk is requested
+     */
+    this.error = null;
+
     // Explicitly pause the stream
     this.stream.pause();
 
@@ -46,6 +99,9 @@ class ReadStreamHandler {
       this.stream.destroy();
       this.closed = true;
     });
+    this.stream.on('error', (err) => {
+      this.error = err;
+    });
   }
 
   /**
@@ -65,7 +121,8 @@ class ReadStreamHandler {
    * with length equal to the remaining data in the stream
    */
   async getNextChunk() {
-    // Return null if the stream is already closed
+    // Reject if the stream has failed, or return null if it is already closed
+    if (this.error) throw this.error;
     if (this.closed) return null;
 
     // Perform remaining operations within a promise so that we can resolve at
@@ -78,10 +135,13 @@ class ReadStreamHandler {
         // Special case
         if (this.currentChunkSize === this.max) {
           // If, somehow, the current chunk size is exactly the maximum, skip
-          // extra processing and resolve the concatenation
+          // extra processing and resolve the concatenation. The stream must still
+          // be paused, or data will be lost before the next chunk is requested
           const concatBuff = Buffer.concat(this.chunkList);
+          this.stream.pause();
           this.stream.removeListener('data', onData);
           this.stream.removeListener('end', onEnd);
+          this.stream.removeListener('error', onError);
           this.chunkList = [];
 
           return resolve(concatBuff);
@@ -104,6 +164,7 @@ class ReadStreamHandler {
         // Remove event listeners
         this.stream.removeListener('data', onData);
         this.stream.removeListener('end', onEnd);
+        this.stream.removeListener('error', onError);
 
         // Unshift data _after_ removing event listeners and pausing
         this.stream.unshift(unshiftBuff);
@@ -120,6 +181,7 @@ class ReadStreamHandler {
         // Remove listeners
         this.stream.removeListener('data', onData);
         this.stream.removeListener('end', onEnd);
+        this.stream.removeListener('error', onError);
 
         // Special case: No data available
         if (this.chunkList.length === 0) {
@@ -136,6 +198,15 @@ class ReadStreamHandler {
         return resolve(concatBuff);
       };
       this.stream.on('end', onEnd);
+
+      // Errors from the stream, such as a file that can't be read, end processing
+      const onError = (err) => {
+        this.stream.removeListener('data', onData);
+        this.stream.removeListener('end', onEnd);
+        this.stream.removeListener('error', onError);
+        reject(err);
+      };
+      this.stream.on('error', onError);
       // Resume the stream
       this.stream.resume();
     });
@@ -144,15 +215,208 @@ class ReadStreamHandler {
 
 /**
  * This class simplifies interactions with S3
+ *
+ * The progress of uploads made with `putS3Stream` and `putS3File` is reported
+ * with the following events:
+ * - `uploadStart`: `{key, size}` An upload has begun. `size` may be null if unknown
+ * - `uploadProgress`: `{key, bytes}` Bytes have been sent. `bytes` is negative if
+ *   a request failed and the data it sent must be sent again
+ * - `multipartCreate`: `{key, uploadId}` A multi-part upload has been created
+ * - `partComplete`: `{key, partNumber, size, etag}` A part has been uploaded
+ * - `uploadEnd`: `{key, size, etag, encryption}` An upload has finished. `size` is
+ *   the number of Bytes sent if it wasn't known when the upload began. `encryption`
+ *   describes how S3 encrypted the object, as returned by `describeEncryption`
+ * - `uploadError`: `{key, error}` An upload has failed
  */
-class S3 {
+class S3 extends EventEmitter {
   /**
    * Constructor takes options that are then passed to the AWS.S3 constructor
    *
    * @param {object} opts Options passed to the AWS.S3 constructor
+   * @param {object} [settings] Optional: Settings for this class
+   * @param {number} [settings.maxConcurrent] Maximum number of upload requests
+   *                                          to run at once, across all objects
+   * @param {number} [settings.maxAttempts] Maximum number of times a request will
+   *                                        be attempted before giving up
+   * @param {string} [settings.checksumAlgorithm] Additional checksum algorithm sent
+   *                                              with uploaded data, `SHA256` or `CRC32C`
+   * @param {number} [settings.partSize] Number of Bytes in each part of a multi-part
+   *                                     upload. Smaller objects are uploaded with a
+   *                                     single request
+   * @param {object} [settings.encryption] Server-side encryption applied to every
+   *                                       object, with `sse` (`AES256` or `aws:kms`),
+   *                                       `kmsKeyId`, and `customerKey` (Buffer) members
    */
-  constructor(opts) {
-    this.s3 = new AWS.S3(opts);
+  constructor(opts, settings = {}) {
+    super();
+
+    // Retries are handled by this class rather than the SDK
+    this.s3 = new AWS.S3(Object.assign({maxRetries: 0}, opts));
+
+    /**
+     * Options the SDK client was created with, kept for clients with different
+     * settings
+     */
+    this.clientOpts = opts;
+
+    /**
+     * SDK client used to sign presigned URLs. Created when first needed
+     */
+    this.signer = null;
+
+    /**
+     * The maximum number of times a request will be attempted before giving up
+     */
+    this.maxAttempts = settings.maxAttempts || config.MAX_ATTEMPTS;
+
+    /**
+     * Number of Bytes in each part of a multi-part upload
+     */
+    this.partSize = settings.partSize || config.MAX_BYTES;
+
+    /**
+     * Scheduler shared by every upload made through this instance. Limits how
+     * many parts (and single-part objects) are uploaded at once
+     */
+    this.scheduler = new Scheduler(settings.maxConcurrent || config.MAX_CONCURRENT);
+
+    /**
+     * Additional checksum algorithm sent with uploaded data. Every upload includes
+     * a `Content-MD5` header regardless of this setting
+     */
+    this.checksumAlgorithm = settings.checksumAlgorithm || null;
+
+    /**
+     * Server-side encryption applied to every object. Objects encrypted with a
+     * customer provided key can only be read or copied with the same key
+     */
+    this.encryption = settings.encryption || null;
+  }
+
+  /**
+   * Gets the encryption parameters for a request
+   *
+   * @param {string} type Type of request: `write` for requests that create an object,
+   *                      `read` for requests that read or add to an existing object,
+   *                      and `copySource` for the source object of a copy
+   *
+   * @return {object} Parameters to add to the request
+   */
+  getEncryptionParams(type) {
+    const params = {};
+    const encryption = this.encryption;
+    if (!encryption) return params;
+
+    // Objects encrypted with a customer provided key need the key for every request
+    if (encryption.customerKey) {
+      const prefix = type === 'copySource' ? 'CopySource' : '';
+      params[`${prefix}SSECustomerAlgorithm`] = 'AES256';
+      params[`${prefix}SSECustomerKey`] = encryption.customerKey;
+      return params;
+    }
+
+    if (type === 'write' && encryption.sse) {
+      params.ServerSideEncryption = encryption.sse;
+      if (encryption.kmsKeyId) params.SSEKMSKeyId = encryption.kmsKeyId;
+    }
+    return params;
+  }
+
+  /**
+   * Describes how S3 encrypted an object
+   *
+   * @param {object} res Response from S3 to a request that created or read the object
+   *
+   * @return {string} Description of the encryption, such as `AES256`, `aws:kms (<key>)`,
+   *                  `SSE-C`, or `none`
+   */
+  describeEncryption(res) {
+    // Completing a multi-part upload does not report customer provided keys
+    if (res.SSECustomerAlgorithm || (this.encryption && this.encryption.customerKey)) return 'SSE-C';
+    if (res.ServerSideEncryption && res.SSEKMSKeyId) return `${res.ServerSideEncryption} (${res.SSEKMSKeyId})`;
+    return res.ServerSideEncryption || 'none';
+  }
+
+  /**
+   * Determines if an error returned by S3 is transient, meaning the same request
+   * may succeed if it is sent again
+   *
+   * @param {Error} err Error returned by the AWS SDK
+   *
+   * @return {boolean} If the request that caused the error can be retried
+   */
+  static isRetryable(err) {
+    if (RETRYABLE_CODES.includes(err.code)) return true;
+    if (err.statusCode === 429 || err.statusCode >= 500) return true;
+    return !!err.retryable;
+  }
+
+  /**
+   * Determines if a request that failed should be attempted again
+   *
+   * @param {Error} err Error returned by the AWS SDK
+   * @param {number} attempt The attempt that failed, beginning with 1
+   *
+   * @return {boolean} If the request should be retried
+   */
+  shouldRetry(err, attempt) {
+    return attempt < this.maxAttempts && S3.isRetryable(err);
+  }
+
+  /**
+   * Waits before retrying a request. The maximum wait time increases exponentially
+   * with each attempt, and the actual wait time is randomized ("full jitter") so
+   * that many failing requests don't all retry at the same moment
+   *
+   * @param {string} method Name of the request being retried
+   * @param {Error} err Error that caused the retry
+   * @param {number} attempt The attempt that failed, beginning with 1
+   *
+   * @return {Promise} Resolves once it is time to retry
+   */
+  async waitForRetry(method, err, attempt) {
+    const maxDelay = Math.min(config.RETRY_MAX_DELAY, config.RETRY_BASE_DELAY * Math.pow(2, attempt - 1));
+    const delay = Math.round(Math.random() * maxDelay);
+    console.warn(`${method} failed (${err.code || err.message}), retrying in ${delay}ms ` +
+      `(attempt ${attempt + 1}/${this.maxAttempts})`);
+    return new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  /**
+   * Sends a request to S3, retrying with exponential backoff when a transient
+   * error occurs. Each retry resends exactly the same parameters, so a failed
+   * part of a multi-part upload is the only thing that gets sent again
+   *
+   * @param {string} method Name of the AWS.S3 method to call
+   * @param {object} params Parameters for the request
+   * @param {Function} [onProgress] Optional: Called with the number of bytes sent
+   *                                each time more of the request body is sent
+   *
+   * @return {Promise} Resolves with response from S3, rejects with the last error
+   */
+  async request(method, params, onProgress = null) {
+    for (let attempt = 1; ; attempt++) {
+      let loaded = 0;
+      try {
+        return await new Promise((resolve, reject) => {
+          const req = this.s3[method](params, (err, res) => {
+            if (err) return reject(err);
+            return resolve(res);
+          });
+          if (onProgress) {
+            req.on('httpUploadProgress', (progress) => {
+              onProgress(progress.loaded - loaded);
+              loaded = progress.loaded;
+            });
+          }
+        });
+      } catch (e) {
+        // Anything sent by the failed attempt has to be sent again
+        if (loaded) onProgress(-loaded);
+        if (!this.shouldRetry(e, attempt)) throw e;
+        await this.waitForRetry(method, e, attempt);
+      }
+    }
   }
 
   /**
@@ -164,57 +428,278 @@ class S3 {
    * @return {Promise} Promise resolves with data, rejects with error
    **/
   async getS3Object(bucket, objectKey) {
-    const params = {
+    const params = Object.assign(this.getEncryptionParams('read'), {
       Bucket: bucket,
       Key: objectKey
-    };
-    return new Promise((resolve, reject) => {
-      this.s3.getObject(params, (err, data) => {
-        if (err) return reject(err);
-        return resolve(data);
-      });
     });
+    return this.request('getObject', params);
   };
 
   /**
-   * Puts an object into S3
+   * Streams an object from S3 into a writable stream. Object data is never held
+   * in memory all at once, so this is safe to use for very large objects
+   *
+   * @param {string} bucket Name of the bucket to retrieve the object from
+   * @param {string} objectKey Name of the object to retrieve
+   * @param {WritableStream} writeStream Stream the object body will be written to
+   * @param {object} [opts] Optional: Download options
+   * @param {string} [opts.range] Only download this range of the object, in the form
+   *                              `bytes=<start>-<end>` or `bytes=-<length>`
+   * @param {boolean} [opts.end] If the write stream should be ended once the object
+   *                             has been written. Defaults to true. Streams that are
+   *                             never ended, such as stdout, must set this to false
+   *
+   * @return {Promise} Resolves once all data has been written and an ended write
+   *                   stream has closed, rejects with error
+   */
+  async pipeS3Object(bucket, objectKey, writeStream, opts = {}) {
+    const params = Object.assign(this.getEncryptionParams('read'), {
+      Bucket: bucket,
+      Key: objectKey
+    });
+    if (opts.range) params.Range = opts.range;
+    const end = opts.end !== false;
+    for (let attempt = 1; ; attempt++) {
+      let receivedData = false;
+      try {
+        return await new Promise((resolve, reject) => {
+          const readStream = this.s3.getObject(params).createReadStream();
+
+          const onWriteError = (err) => {
+            readStream.destroy();
+            reject(err);
+          };
+          const onDone = () => {
+            resolve();
+          };
+          readStream.once('data', () => {
+            receivedData = true;
+          });
+          readStream.on('error', (err) => {
+            readStream.unpipe(writeStream);
+            writeStream.removeListener('error', onWriteError);
+            writeStream.removeListener('close', onDone);
+            reject(err);
+          });
+          writeStream.once('error', onWriteError);
+
+          // Streams that are ended are waited on until they close, so files are released
+          // before they are used. Streams that are not ended never close, so wait for the
+          // object to end instead
+          if (end) {
+            writeStream.once('close', onDone);
+          } else {
+            readStream.once('end', onDone);
+          }
+
+          readStream.pipe(writeStream, {end});
+        });
+      } catch (e) {
+        // Once data has been written the request can't be retried, because the
+        // write stream can't be rewound
+        if (receivedData || writeStream.destroyed || !this.shouldRetry(e, attempt)) {
+          if (end) writeStream.destroy();
+          throw e;
+        }
+        await this.waitForRetry('getObject', e, attempt);
+      }
+    }
+  }
+
+  /**
+   * Puts an object into S3. The body is sent with its checksum, so S3 will reject
+   * the request if the data is corrupted in transit
    *
    * @param {buffer} body Buffer contents to upload to S3
    * @param {string} bucket The name of the bucket to put the object
    * @param {string} objectKey Name of the object, including file paths
+   * @param {object} [objectParams] Optional: Additional parameters for the object,
+   *                                such as headers
    *
    * @return {Promise} Promise resolved on success, rejects on error
    **/
-  async putS3Object(body, bucket, objectKey) {
+  async putS3Object(body, bucket, objectKey, objectParams = {}) {
     // If we are on windows (using windows style directory paths) then we need to
     // translate the object key to unix style
     if (path.sep === '\\') {
       objectKey = objectKey.replace(/\\/g, '/');
     }
 
-    const params = {
+    const checksumParams = Checksum.getParams(body, this.checksumAlgorithm);
+    const params = Object.assign({}, objectParams, checksumParams, this.getEncryptionParams('write'), {
       Body: body,
       Bucket: bucket,
       Key: objectKey
-    };
+    });
 
-    // HTML files require the correct content type
-    if (/\.html$/.test(objectKey)) {
-      params.ContentType = 'text/html';
+    // Objects require the correct content type to be served properly
+    if (!params.ContentType && MimeTypes.getContentType(objectKey)) {
+      params.ContentType = MimeTypes.getContentType(objectKey);
     }
 
-    console.log(`Uploading file: ${objectKey}`);
-    return new Promise((resolve, reject) => {
-      this.s3.putObject(params, (err, data) => {
-        if (err) return reject(err);
-        console.group();
-        console.log(`Finished Uploading File: ${objectKey}`);
-        console.groupEnd();
-        return resolve(data);
-      });
-    });
+    return this.request('putObject', params, this.getProgressHandler(objectKey));
   };
 
+  /**
+   * Uploads a file to S3. If a resume state is provided, the progress of files
+   * uploaded with the "multi-part" scheme will be recorded as each part finishes.
+   * If the upload is interrupted, uploading the same unchanged file again will pick
+   * up where the previous upload left off
+   *
+   * @param {string} filePath Path of the file to upload
+   * @param {string} bucket Name of the bucket to upload data to
+   * @param {string} objectKey Name of the final object being uploaded
+   * @param {object} [opts] Optional: Upload options
+   * @param {ResumeState} [opts.resumeState] State used to track and resume uploads. If
+   *                                         not provided, failed uploads are aborted
+   * @param {object} [opts.params] Additional parameters for the object, such as headers
+   * @param {string} [opts.compression] Compression algorithm to upload the file with,
+   *                                    `gzip` or `br`. Files are only compressed if a
+   *                                    sample of their start gets smaller, and if the
+   *                                    whole file does not get smaller it is uploaded
+   *                                    uncompressed instead. Empty files are never
+   *                                    compressed. Compressed uploads can not be resumed
+   * @param {Function} [opts.transform] Function that takes a stream of the file's
+   *                                    contents, and returns a stream of the contents
+   *                                    to upload in their place. Transformed uploads
+   *                                    can not be resumed
+   *
+   * @return {Promise} Resolves with response from S3
+   */
+  async putS3File(filePath, bucket, objectKey, opts = {}) {
+    // If we are on windows (using windows style directory paths) then we need to
+    // translate the object key to unix style
+    if (path.sep === '\\') {
+      objectKey = objectKey.replace(/\\/g, '/');
+    }
+
+    const stats = await FileUtil.getStats(filePath);
+    const readOpts = {highWaterMark: 256 * 1024};
+    const resumeState = opts.resumeState;
+
+    const createStream = () => {
+      const readStream = FileUtil.createReadStream(filePath, readOpts);
+      return opts.transform ? opts.transform(readStream) : readStream;
+    };
+
+    // Files are only compressed when a sample of them gets smaller. The compressed
+    // size still isn't known until the whole file has been compressed, so the upload
+    // is abandoned as soon as it is clear the file won't get smaller
+    if (opts.compression && await Compression.sample(filePath, opts.compression)) {
+      const compressedStream = Compression.compress(createStream(), opts.compression);
+      const params = Object.assign({}, opts.params, {ContentEncoding: opts.compression});
+      try {
+        return await this.putS3Stream(compressedStream, bucket, objectKey, null, {params, sizeLimit: stats.size});
+      } catch (e) {
+        if (e.code !== SIZE_LIMIT_CODE) throw e;
+      } finally {
+        compressedStream.destroy();
+      }
+    }
+
+    // Transformed files don't have a known size either
+    if (opts.transform) {
+      return this.putS3Stream(createStream(), bucket, objectKey, null, {params: opts.params});
+    }
+
+    // Files small enough to be uploaded in a single request have nothing to resume
+    if (!resumeState || stats.size < this.partSize) {
+      const readStream = FileUtil.createReadStream(filePath, readOpts);
+      return this.putS3Stream(readStream, bucket, objectKey, stats.size, {params: opts.params});
+    }
+
+    const id = ResumeState.getId(filePath, stats, bucket, objectKey);
+
+    // Uploads of previous versions of this file can never be completed, abort them
+    const staleIds = resumeState.getStaleIds(id, bucket, objectKey);
+    for (let i=0; i<staleIds.length; i++) {
+      const staleUpload = resumeState.get(staleIds[i]);
+      try {
+        await this.abortMultipartUpload(bucket, objectKey, staleUpload.uploadId);
+      } catch (e) {
+        // The upload may have already been aborted or expired
+      }
+      await resumeState.delete(staleIds[i]);
+    }
+
+    const streamOpts = {
+      params: opts.params,
+      abortOnError: false,
+      onCreate: (uploadId) => resumeState.set(id, {
+        bucket,
+        key: objectKey,
+        uploadId,
+        partSize: this.partSize,
+        checksumAlgorithm: this.checksumAlgorithm,
+        parts: []
+      }),
+      onPart: (part) => resumeState.addPart(id, part)
+    };
+
+    let upload = resumeState.get(id);
+    // Uploads can only be continued with the same part size and checksum algorithm.
+    // Any other upload would never be completed, so it is aborted like a stale one
+    const checksumAlgorithm = upload && (upload.checksumAlgorithm || null);
+    if (upload && (upload.partSize !== this.partSize || checksumAlgorithm !== this.checksumAlgorithm)) {
+      try {
+        await this.abortMultipartUpload(bucket, objectKey, upload.uploadId);
+      } catch (e) {
+        // The upload may have already been aborted or expired
+      }
+      await resumeState.delete(id);
+      upload = null;
+    }
+
+    if (upload) {
+      // S3 is the source of truth for which parts have actually been uploaded
+      let parts = null;
+      try {
+        parts = await this.listParts(bucket, objectKey, upload.uploadId);
+      } catch (e) {
+        if (e.code !== 'NoSuchUpload') throw e;
+      }
+
+      if (parts) {
+        streamOpts.uploadId = upload.uploadId;
+        streamOpts.parts = parts.map((part) => this.getCompletedPart(part.PartNumber, part));
+
+        // Parts at the start of the file that are already uploaded do not need to
+        // be read again
+        let skipParts = 0;
+        while (streamOpts.parts.some((part) => part.PartNumber === skipParts + 1)) {
+          skipParts += 1;
+        }
+        streamOpts.startPart = skipParts + 1;
+        readOpts.start = skipParts * this.partSize;
+        console.log(`Resuming upload of ${objectKey} (${parts.length} parts already uploaded)`);
+      }
+    }
+
+    const readStream = FileUtil.createReadStream(filePath, readOpts);
+    const res = await this.putS3Stream(readStream, bucket, objectKey, stats.size, streamOpts);
+    await resumeState.delete(id);
+    return res;
+  }
+
+  /**
+   * Determines how an object of a given size will be uploaded, without uploading it
+   *
+   * @param {number} size Size of the object in bytes
+   *
+   * @return {object} Object with `multipart` (boolean), `parts` (number of parts
+   *                  uploaded), and `requests` (number of requests sent) members
+   */
+  getUploadPlan(size) {
+    // Objects smaller than a single part are uploaded with one request
+    if (size < this.partSize) {
+      return {multipart: false, parts: 1, requests: 1};
+    }
+
+    // Multi-part uploads need an extra request to initiate and another to complete
+    const parts = Math.ceil(size / this.partSize);
+    return {multipart: true, parts, requests: parts + 2};
+  }
+
   /**
    * Takes a readable stream and uploads the contents of that stream to S3 using
    * the "multi-part" upload scheme if needed
@@ -223,82 +708,311 @@ class S3 {
    * @param {string} bucket Name of the bucket to upload data to
    * @param {string} objectKey Name of the final object being uploaded
    * @param {number} [filesize] Optional: Size of the file being uploaded in bytes,
-   *                            used for debugging purposes
+   *                            used to report progress
+   * @param {object} [opts] Optional: Upload options
+   * @param {object} [opts.params] Additional parameters for the object, such as headers
+   * @param {string} [opts.uploadId] ID of an existing multi-part upload to continue.
+   *                                 The stream must begin at the start of `opts.startPart`
+   * @param {object[]} [opts.parts] Parts of the existing upload that are already complete
+   * @param {number} [opts.startPart] The part number the stream begins at
+   * @param {boolean} [opts.abortOnError] If the multi-part upload should be aborted
+   *                                      when an error occurs. Defaults to true
+   * @param {Function} [opts.onCreate] Called with the Upload ID of a new multi-part upload
+   * @param {Function} [opts.onPart] Called with each part as it finishes uploading
+   * @param {number} [opts.sizeLimit] If the stream holds this many Bytes or more, the
+   *                                  upload is abandoned and rejects with an error
+   *                                  with the code `SizeLimitExceeded`
+   *
+   * @return {Promise} Resolves with response from S3
    */
-  async putS3Stream(readStream, bucket, objectKey, filesize=null) {
+  async putS3Stream(readStream, bucket, objectKey, filesize=null, opts={}) {
     // If we are on windows (using windows style directory paths) then we need to
     // translate the object key to unix style
     if (path.sep === '\\') {
       objectKey = objectKey.replace(/\\/g, '/');
     }
-    const streamHandler = new ReadStreamHandler(readStream);
-    let chunk = await streamHandler.getNextChunk();
-    if (chunk.length < streamHandler.max) {
+
+    this.emit('uploadStart', {key: objectKey, size: filesize});
+    let res;
+    let streamBytes = 0;
+    try {
+      res = await this.sendS3Stream(readStream, bucket, objectKey, opts, (bytes) => {
+        streamBytes += bytes;
+      });
+    } catch (e) {
+      // Uploads abandoned at their size limit are expected to be replaced by the caller
+      if (e.code !== SIZE_LIMIT_CODE) this.emit('uploadError', {key: objectKey, error: e});
+      throw e;
+    }
+    this.emit('uploadEnd', {
+      key: objectKey,
+      size: filesize === null ? streamBytes : filesize,
+      etag: res.ETag,
+      encryption: this.describeEncryption(res)
+    });
+    return res;
+  }
+
+  /**
+   * Does the work of `putS3Stream`, without reporting the start and end of the upload
+   *
+   * The length of the stream does not need to be known. If the first part's worth
+   * of data ends the stream it is uploaded with a single request, otherwise it is
+   * uploaded in parts. A request slot is taken before each part is read, so no more
+   * than `partSize` Bytes times the number of concurrent requests are held in memory
+   *
+   * @param {ReadableStream} readStream Stream to ingest
+   * @param {string} bucket Name of the bucket to upload data to
+   * @param {string} objectKey Name of the final object being uploaded
+   * @param {object} opts Upload options, as described by `putS3Stream`
+   * @param {Function} onRead Called with the number of Bytes in each chunk read from
+   *                          the stream
+   *
+   * @return {Promise} Resolves with response from S3
+   */
+  async sendS3Stream(readStream, bucket, objectKey, opts, onRead) {
+    const streamHandler = new ReadStreamHandler(readStream, this.partSize);
+
+    // Streams with a size limit are abandoned as soon as they reach it
+    let streamBytes = 0;
+    const readChunk = async () => {
+      const nextChunk = await streamHandler.getNextChunk();
+      if (nextChunk) {
+        streamBytes += nextChunk.length;
+        onRead(nextChunk.length);
+      }
+      if (opts.sizeLimit && streamBytes >= opts.sizeLimit) {
+        const err = new Error(`${objectKey} reached the size limit of ${opts.sizeLimit} Bytes`);
+        err.code = SIZE_LIMIT_CODE;
+        throw err;
+      }
+      return nextChunk;
+    };
+
+    // A request slot is always taken before reading a chunk, so that no more chunks
+    // are held in memory than there are requests allowed to run at once
+    await this.scheduler.acquire();
+    let chunk;
+    try {
+      chunk = await readChunk();
+    } catch (e) {
+      this.scheduler.release();
+      throw e;
+    }
+    if (!opts.uploadId && (!chunk || chunk.length < streamHandler.max)) {
       // If the length of the first chunk is less than the maximum then the entire
       // file is within this single chunk. Upload normally
-      return this.putS3Object(chunk, bucket, objectKey);
+      try {
+        return await this.putS3Object(chunk || Buffer.alloc(0), bucket, objectKey, opts.params);
+      } finally {
+        this.scheduler.release();
+      }
     }
 
     // Otherwise we need to upload in parts
-    const predictedChunks = Math.ceil(filesize / config.MAX_BYTES);
-    const predictedBatches = Math.ceil(predictedChunks / config.MAX_CONCURRENT);
-    console.log(`Uploading File: ${objectKey} in ${predictedChunks} chunks over ${predictedBatches} batches`);
-    const initializationData = await this.createMultipartUpload(bucket, objectKey);
-    const uploadId = initializationData.UploadId;
-    let parts = [];
-    let batchCount = 1;
+    const onProgress = this.getProgressHandler(objectKey);
+    let uploadId = opts.uploadId;
+    if (!uploadId) {
+      try {
+        const objectParams = Object.assign({}, opts.params);
+        if (this.checksumAlgorithm) objectParams.ChecksumAlgorithm = this.checksumAlgorithm;
+        const initializationData = await this.createMultipartUpload(bucket, objectKey, objectParams);
+        uploadId = initializationData.UploadId;
+        this.emit('multipartCreate', {key: objectKey, uploadId});
+        if (opts.onCreate) await opts.onCreate(uploadId);
+      } catch (e) {
+        this.scheduler.release();
+        throw e;
+      }
+    }
+    let parts = opts.parts || [];
+    const uploadPromises = [];
+    let holdingSlot = true;
+    let failure = null;
+    let uploadedBytes = 0;
     try {
-      let uploadPromises = [];
-      let partNumber = 1;
+      let partNumber = opts.startPart || 1;
+
+      // Parts before the start of the stream were uploaded by a previous attempt
+      if (partNumber > 1) onProgress((partNumber - 1) * this.partSize);
+
       while (chunk) {
-        uploadPromises.push(this.uploadPart(chunk, bucket, objectKey, partNumber, uploadId));
+        // Stop reading as soon as any part fails
+        if (failure) throw failure;
+
+        const currentPart = partNumber;
         partNumber += 1;
+        if (currentPart > MAX_PARTS) {
+          throw new Error(`${objectKey} is too large to upload in ${MAX_PARTS} parts of ${this.partSize} Bytes. ` +
+            'Use a larger part size');
+        }
 
-        if (uploadPromises.length >= config.MAX_CONCURRENT) {
-          // Wait for the current batch of promises to finish before continuing
-          console.group();
-          console.group();
-          console.log(`${objectKey}: Uploading batch ${batchCount}/${predictedBatches}`);
-          console.groupEnd();
-          console.groupEnd();
-          batchCount += 1;
-          parts = parts.concat(await Promise.all(uploadPromises));
-          uploadPromises = [];
+        // Parts that were already uploaded do not need to be uploaded again
+        if (parts.some((part) => part.PartNumber === currentPart)) {
+          onProgress(chunk.length);
+          chunk = await readChunk();
+          continue;
         }
 
-        chunk = await streamHandler.getNextChunk();
-      }
+        // The slot taken for this chunk is released as soon as its part finishes
+        const size = chunk.length;
+        const uploadPromise = this.uploadPart(chunk, bucket, objectKey, currentPart, uploadId).then(async (res) => {
+          const part = this.getCompletedPart(currentPart, res);
+          uploadedBytes += size;
+          this.emit('partComplete', {key: objectKey, partNumber: currentPart, size, etag: res.ETag});
+          if (opts.onPart) await opts.onPart(part);
+          return part;
+        }).finally(() => {
+          this.scheduler.release();
+        });
+        uploadPromise.catch((e) => {
+          failure = failure || e;
+        });
+        uploadPromises.push(uploadPromise);
+        holdingSlot = false;
 
-      // Wait for any remaining promises
-      if (uploadPromises.length) {
-        console.group();
-        console.group();
-        console.log(`${objectKey}: Uploading batch ${batchCount}/${predictedBatches} (final)`);
-        console.groupEnd();
-        console.groupEnd();
-        parts = parts.concat(await Promise.all(uploadPromises));
+        await this.scheduler.acquire();
+        holdingSlot = true;
+        chunk = await readChunk();
       }
 
-      // Because of the nature of Promise.all and Array.concat, the `parts` array
-      // is guaranteed to be in sequential order. Add the part number to each part
-      parts = parts.map((part, index) => {
-        part.PartNumber = index + 1;
+      // There are no chunks left for the last slot that was taken
+      this.scheduler.release();
+      holdingSlot = false;
 
-        // Delete the "ServerSideEncryption" member
-        delete part.ServerSideEncryption;
-        return part;
-      });
+      parts = parts.concat(await Promise.all(uploadPromises));
+
+      // Parts must be provided to S3 in sequential order
+      parts.sort((a, b) => a.PartNumber - b.PartNumber);
     } catch (e) {
+      if (holdingSlot) this.scheduler.release();
+
+      // Let any parts that are still in flight settle before deciding what to do
+      await Promise.all(uploadPromises.map((uploadPromise) => uploadPromise.catch(() => {})));
+
+      // Parts of an abandoned upload no longer count as progress
+      if (e.code === SIZE_LIMIT_CODE) onProgress(-uploadedBytes);
+
       // If an error happens at any time, abort the upload and throw the original error
-      await this.abortMultipartUpload(bucket, objectKey, initializationData.UploadId);
+      if (opts.abortOnError !== false) {
+        await this.abortMultipartUpload(bucket, objectKey, uploadId);
+      }
       throw e;
     }
 
     // Finally, complete the upload!
-    await this.completeMultipartUpload(bucket, objectKey, parts, uploadId);
-    console.group();
-    console.log(`Finished Uploading File: ${objectKey}`);
-    console.groupEnd();
+    return this.completeMultipartUpload(bucket, objectKey, parts, uploadId);
+  }
+
+  /**
+   * Gets a function that reports bytes sent for an object with an `uploadProgress` event
+   *
+   * @param {string} key Object key for the object being uploaded
+   *
+   * @return {Function} Function that takes the number of bytes sent
+   */
+  getProgressHandler(key) {
+    return (bytes) => {
+      this.emit('uploadProgress', {key, bytes});
+    };
+  }
+
+  /**
+   * Copies an object within S3, without downloading it. Objects larger than the
+   * maximum size of a single copy request are copied in parts, using the same
+   * concurrency limits as uploads. Metadata, storage class, and tags are kept, but
+   * ACLs are not: the new object gets the ACL new objects in the bucket get. Tags
+   * that can't be read are left out of multi-part copies with a warning
+   *
+   * @param {string} srcBucket Name of the bucket to copy from
+   * @param {string} srcKey Key of the object to copy
+   * @param {string} dstBucket Name of the bucket to copy to
+   * @param {string} dstKey Key of the new object
+   *
+   * @return {Promise} Resolves with an object with `size`, `etag`, `multipart`, and
+   *                   `encryption` members describing the new object
+   */
+  async copyS3Object(srcBucket, srcKey, dstBucket, dstKey) {
+    const source = await this.headS3Object(srcBucket, srcKey);
+    if (!source) {
+      throw new Error(`Source object "${srcBucket}/${srcKey}" does not exist`);
+    }
+    const size = source.ContentLength;
+    const copySource = `${srcBucket}/${srcKey.split('/').map(encodeURIComponent).join('/')}`;
+
+    if (size <= config.MAX_COPY_BYTES) {
+      console.log(`Copying Object: ${srcBucket}/${srcKey} -> ${dstBucket}/${dstKey}`);
+      const params = Object.assign(this.getEncryptionParams('write'), this.getEncryptionParams('copySource'), {
+        Bucket: dstBucket,
+        Key: dstKey,
+        CopySource: copySource
+      });
+
+      // Copies are created in the standard storage class unless another is requested
+      if (source.StorageClass) params.StorageClass = source.StorageClass;
+      const res = await this.scheduler.run(() => this.request('copyObject', params));
+      return {size, etag: res.CopyObjectResult.ETag, multipart: false, encryption: this.describeEncryption(res)};
+    }
+
+    // Multi-part copies do not copy metadata or tags, so they must be provided explicitly
+    const objectParams = {};
+    ['ContentType', 'CacheControl', 'ContentDisposition', 'ContentEncoding', 'ContentLanguage', 'Expires', 'Metadata',
+      'StorageClass'].forEach((param) => {
+      if (source[param]) objectParams[param] = source[param];
+    });
+
+    // Some S3 compatible stores don't support tags, and reading them needs its own
+    // permission. Neither is a reason to fail the copy
+    let tagSet = [];
+    try {
+      tagSet = (await this.request('getObjectTagging', {Bucket: srcBucket, Key: srcKey})).TagSet;
+    } catch (e) {
+      if (e.code !== 'NotImplemented' && e.code !== 'AccessDenied') throw e;
+      console.warn(`Tags of ${srcBucket}/${srcKey} could not be read (${e.code}), copying without tags`);
+    }
+    if (tagSet.length) {
+      objectParams.Tagging = ObjectRules.formatTags(tagSet.reduce((tags, tag) => {
+        tags[tag.Key] = tag.Value;
+        return tags;
+      }, {}));
+    }
+
+    // Parts must be large enough that the object fits within the maximum number of parts
+    const partSize = Math.max(config.COPY_PART_BYTES, Math.ceil(size / MAX_PARTS));
+    const partCount = Math.ceil(size / partSize);
+    console.log(`Copying Object: ${srcBucket}/${srcKey} -> ${dstBucket}/${dstKey} in ${partCount} parts`);
+
+    const initializationData = await this.createMultipartUpload(dstBucket, dstKey, objectParams);
+    const uploadId = initializationData.UploadId;
+    let parts;
+    try {
+      const partPromises = [];
+      for (let i=0; i<partCount; i++) {
+        const start = i * partSize;
+        const end = Math.min(start + partSize, size) - 1;
+        partPromises.push(this.scheduler.run(async () => {
+          const res = await this.uploadPartCopy(copySource, `bytes=${start}-${end}`, dstBucket, dstKey, i + 1, uploadId);
+          return {
+            ETag: res.CopyPartResult.ETag,
+            PartNumber: i + 1
+          };
+        }));
+      }
+
+      // Let all parts settle before deciding what to do, so none finish after an abort
+      const results = await Promise.all(partPromises.map((partPromise) => {
+        return partPromise.catch((e) => ({error: e}));
+      }));
+      const failed = results.find((result) => result.error);
+      if (failed) throw failed.error;
+      parts = results;
+    } catch (e) {
+      await this.abortMultipartUpload(dstBucket, dstKey, uploadId);
+      throw e;
+    }
+
+    const res = await this.completeMultipartUpload(dstBucket, dstKey, parts, uploadId);
+    return {size, etag: res.ETag, multipart: true, encryption: this.describeEncryption(res)};
   }
 
   /**
@@ -306,24 +1020,27 @@ class S3 {
    *
    * @param {string} bucket The bucket to upload to
    * @param {string} key Object key for the object being uploaded
+   * @param {object} [objectParams] Optional: Additional parameters for the object,
+   *                                such as headers
    *
    * @return {Promise} Resolves with response from S3
    */
-  async createMultipartUpload(bucket, key) {
-    const params = {
+  async createMultipartUpload(bucket, key, objectParams = {}) {
+    const params = Object.assign({}, objectParams, this.getEncryptionParams('write'), {
       Bucket: bucket,
       Key: key
-    };
-    return new Promise((resolve, reject) => {
-      this.s3.createMultipartUpload(params, (err, res) => {
-        if (err) return reject(err);
-        resolve(res);
-      });
     });
+
+    // Objects require the correct content type to be served properly
+    if (!params.ContentType && MimeTypes.getContentType(key)) {
+      params.ContentType = MimeTypes.getContentType(key);
+    }
+    return this.request('createMultipartUpload', params);
   }
 
   /**
-   * Uploads a single part of a multi-part upload
+   * Uploads a single part of a multi-part upload. The part is sent with its
+   * checksum, so S3 will reject the request if the data is corrupted in transit
    *
    * @param {buffer} body Data to upload
    * @param {string} bucket The bucket to upload to
@@ -334,19 +1051,61 @@ class S3 {
    * @return {Promise} Resolves with response from S3
    */
   async uploadPart(body, bucket, key, part, uploadId) {
-    const params = {
+    const params = Object.assign(this.getEncryptionParams('read'), Checksum.getParams(body, this.checksumAlgorithm), {
       Body: body,
       Bucket: bucket,
       Key: key,
       PartNumber: part,
       UploadId: uploadId
+    });
+    return this.request('uploadPart', params, this.getProgressHandler(key));
+  }
+
+  /**
+   * Gets the part object used to complete a multi-part upload from the response
+   * to an upload part request, or an entry in a list of parts. S3 requires the
+   * checksum of every part if the upload was created with a checksum algorithm
+   *
+   * @param {number} partNumber The part number (beginning with 1)
+   * @param {object} res Response from S3 describing the part
+   *
+   * @return {object} Object with `ETag` and `PartNumber` members, and the checksum
+   *                  of the part if one is in use
+   */
+  getCompletedPart(partNumber, res) {
+    const part = {
+      ETag: res.ETag,
+      PartNumber: partNumber
     };
-    return new Promise((resolve, reject) => {
-      this.s3.uploadPart(params, (err, res) => {
-        if (err) return reject(err);
-        resolve(res);
-      });
+    if (this.checksumAlgorithm) {
+      const paramName = Checksum.getParamName(this.checksumAlgorithm);
+      part[paramName] = res[paramName];
+    }
+    return part;
+  }
+
+  /**
+   * Copies a range of an existing object as a single part of a multi-part upload
+   *
+   * @param {string} copySource URL encoded `<bucket>/<key>` of the object to copy from
+   * @param {string} range Byte range to copy, in the form `bytes=<start>-<end>`
+   * @param {string} bucket The bucket to upload to
+   * @param {string} key Object key for the object being uploaded
+   * @param {number} part The part number (beginning with 1)
+   * @param {string} uploadId The Upload ID provided on initiation
+   *
+   * @return {Promise} Resolves with response from S3
+   */
+  async uploadPartCopy(copySource, range, bucket, key, part, uploadId) {
+    const params = Object.assign(this.getEncryptionParams('read'), this.getEncryptionParams('copySource'), {
+      Bucket: bucket,
+      Key: key,
+      CopySource: copySource,
+      CopySourceRange: range,
+      PartNumber: part,
+      UploadId: uploadId
     });
+    return this.request('uploadPartCopy', params);
   }
 
   /**
@@ -369,12 +1128,36 @@ class S3 {
       },
       UploadId: uploadId
     };
-    return new Promise((resolve, reject) => {
-      this.s3.completeMultipartUpload(params, (err, res) => {
-        if (err) return reject(err);
-        resolve(res);
-      });
-    });
+    return this.request('completeMultipartUpload', params);
+  }
+
+  /**
+   * Lists all of the parts that have been uploaded for a multi-part upload
+   *
+   * @param {string} bucket The bucket being uploaded to
+   * @param {string} key Object key for the object being uploaded
+   * @param {string} uploadId The Upload ID provided on initiation
+   *
+   * @return {Promise} Resolves with an array of part descriptions (`PartNumber`, `ETag`, `Size`)
+   */
+  async listParts(bucket, key, uploadId) {
+    let parts = [];
+    let partNumberMarker = null;
+    do {
+      const params = {
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId
+      };
+      if (partNumberMarker) params.PartNumberMarker = partNumberMarker;
+
+      const res = await this.request('listParts', params);
+
+      parts = parts.concat(res.Parts);
+      partNumberMarker = res.IsTruncated ? res.NextPartNumberMarker : null;
+    } while (partNumberMarker);
+
+    return parts;
   }
 
   /**
@@ -392,60 +1175,200 @@ class S3 {
       Key: key,
       UploadId: uploadId
     };
-    return new Promise((resolve, reject) => {
-      this.s3.abortMultipartUpload(params, (err, res) => {
-        if (err) return reject(err);
-        resolve(res);
-      });
-    });
+    return this.request('abortMultipartUpload', params);
   }
 
   /**
    * Gets all of the objects in a given bucket
    *
    * @param {string} bucket Name of the bucket to list objects from
+   * @param {string} [prefix] Optional: Only objects beginning with this prefix will be listed
    *
    * @return {Promise} Promise will resolve with an array of keys or reject with error
    **/
-  async getS3ObjectList(bucket) {
-    const params = {
-      Bucket: bucket
-    };
-    return new Promise((resolve, reject) => {
-      this.s3.listObjects(params, (err, res) => {
-        if (err) return reject(err);
+  async getS3ObjectList(bucket, prefix = '') {
+    const objects = await this.listS3Objects(bucket, prefix);
 
-        // Just return object keys
-        const fileNames = res.Contents.map((content) => {
-          return content.Key;
-        });
-        return resolve(fileNames);
-      });
+    // Just return object keys
+    return objects.map((content) => {
+      return content.Key;
     });
   };
 
   /**
-   * Deletes the specified objects in the specified bucket
+   * Lists the contents of a bucket one page at a time. S3 only returns up to 1000
+   * results per request, so pages are requested until there are no more results.
+   * Each page is handed to the callback before the next page is requested
+   *
+   * @param {string} bucket Name of the bucket to list objects from
+   * @param {string} prefix Only objects beginning with this prefix will be listed
+   * @param {string} delimiter If provided, keys containing the delimiter after the
+   *                           prefix are grouped together into a single common prefix
+   * @param {function(object)} onPage Called with each page of results. Pages are
+   *                                  objects with `objects` and `prefixes` arrays. If
+   *                                  a promise is returned, it will be waited on
+   *
+   * @return {Promise} Resolves once all pages have been listed
+   */
+  async listS3Pages(bucket, prefix, delimiter, onPage) {
+    let continuationToken = null;
+    do {
+      const params = {
+        Bucket: bucket,
+        Prefix: prefix
+      };
+      if (delimiter) params.Delimiter = delimiter;
+      if (continuationToken) params.ContinuationToken = continuationToken;
+
+      const res = await this.request('listObjectsV2', params);
+      await onPage({
+        objects: res.Contents || [],
+        prefixes: (res.CommonPrefixes || []).map((commonPrefix) => commonPrefix.Prefix)
+      });
+
+      continuationToken = res.IsTruncated ? res.NextContinuationToken : null;
+    } while (continuationToken);
+  }
+
+  /**
+   * Lists the contents of a bucket that begin with the given prefix
+   *
+   * @param {string} bucket Name of the bucket to list objects from
+   * @param {string} [prefix] Optional: Only objects beginning with this prefix will be listed
+   * @param {string} [delimiter] Optional: If provided, keys containing the delimiter after
+   *                             the prefix are grouped together into a single common prefix
+   *
+   * @return {Promise} Resolves with an object with `objects` (array of object descriptions)
+   *                   and `prefixes` (array of common prefixes) members
+   */
+  async listS3Contents(bucket, prefix = '', delimiter = null) {
+    let objects = [];
+    let prefixes = [];
+    await this.listS3Pages(bucket, prefix, delimiter, (page) => {
+      objects = objects.concat(page.objects);
+      prefixes = prefixes.concat(page.prefixes);
+    });
+    return {objects, prefixes};
+  }
+
+  /**
+   * Lists every object in a bucket that begins with the given prefix
+   *
+   * @param {string} bucket Name of the bucket to list objects from
+   * @param {string} [prefix] Optional: Only objects beginning with this prefix will be listed
+   *
+   * @return {Promise} Resolves with an array of object descriptions (`Key`, `Size`, `ETag`, etc.)
+   */
+  async listS3Objects(bucket, prefix = '') {
+    const contents = await this.listS3Contents(bucket, prefix);
+    return contents.objects;
+  }
+
+  /**
+   * Deletes the specified objects in the specified bucket. S3 can only delete up
+   * to 1000 objects per request, so larger arrays of keys are deleted in batches
+   *
+   * Keys that fail to delete do not cause a rejection. Instead, they are listed
+   * in the `Errors` array of the response
    *
    * @param {string} bucket Name of the bucket to delete items from
    * @param {string[]} objectKeys array of object keys to delete
    *
-   * @return {Promise} Resolves on success, rejects with error
+   * @return {Promise} Resolves with an object with `Deleted` and `Errors` arrays
+   *                   combined from every batch, rejects with error
    **/
   async deleteS3Objects(bucket, objectKeys) {
+    const res = {
+      Deleted: [],
+      Errors: []
+    };
+    for (let i=0; i<objectKeys.length; i+=MAX_DELETE_KEYS) {
+      const params = {
+        Bucket: bucket,
+        Delete: {
+          Objects: objectKeys.slice(i, i + MAX_DELETE_KEYS).map((key) => ({Key: key}))
+        }
+      };
+      const batchRes = await this.request('deleteObjects', params);
+      res.Deleted = res.Deleted.concat(batchRes.Deleted || []);
+      res.Errors = res.Errors.concat(batchRes.Errors || []);
+    }
+    return res;
+  };
+
+  /**
+   * Runs a HEAD operation on an object. Good for checking if it exists, and for
+   * getting its size and other metadata without downloading it
+   *
+   * @param {string} bucket Name of the bucket containing the object
+   * @param {string} objectKey Name of the object to check
+   *
+   * @return {Promise} Resolves with the object metadata, or null if the object does not exist
+   */
+  async headS3Object(bucket, objectKey) {
+    const params = Object.assign(this.getEncryptionParams('read'), {
+      Bucket: bucket,
+      Key: objectKey
+    });
+    try {
+      return await this.request('headObject', params);
+    } catch (e) {
+      if (e.code === 'NotFound' || e.code === 'NoSuchKey') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Creates a presigned URL, which lets anyone who has it make a single kind of
+   * request without credentials until it expires
+   *
+   * @param {string} operation Name of the request, such as `getObject` or `uploadPart`
+   * @param {object} params Parameters of the request, such as `Bucket` and `Key`
+   * @param {number} expires Number of seconds the URL is valid for
+   *
+   * @return {Promise} Resolves with the URL
+   */
+  async getSignedUrl(operation, params, expires) {
+    // The SDK signs URLs for some regions with the deprecated Signature Version 2,
+    // which is not accepted everywhere
+    if (!this.signer) this.signer = new AWS.S3(Object.assign({}, this.clientOpts, {signatureVersion: 'v4'}));
+    return this.signer.getSignedUrlPromise(operation, Object.assign({}, params, {Expires: expires}));
+  }
+
+  /**
+   * Gets the static website hosting configuration of a bucket
+   *
+   * @param {string} bucket Name of the bucket
+   *
+   * @return {Promise} Resolves with the website configuration, or null if website
+   *                   hosting is not enabled for the bucket
+   */
+  async getS3BucketWebsite(bucket) {
+    try {
+      return await this.request('getBucketWebsite', {Bucket: bucket});
+    } catch (e) {
+      if (e.code === 'NoSuchWebsiteConfiguration') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Replaces the static website hosting configuration of a bucket. The new
+   * configuration takes effect for every request at once
+   *
+   * @param {string} bucket Name of the bucket
+   * @param {object} websiteConfig Website configuration, with `IndexDocument`,
+   *                               `ErrorDocument`, and `RoutingRules` members
+   *
+   * @return {Promise} Resolves with response from S3
+   */
+  async putS3BucketWebsite(bucket, websiteConfig) {
     const params = {
       Bucket: bucket,
-      Delete: {
-        Objects: objectKeys.map((key) => ({Key: key}))
-      }
+      WebsiteConfiguration: websiteConfig
     };
-    return new Promise((resolve, reject) => {
-      this.s3.deleteObjects(params, (err, res) => {
-        if (err) return reject(err);
-        return resolve(res);
-      });
-    });
-  };
+    return this.request('putBucketWebsite', params);
+  }
 
   /**
    * Runs a HEAD operation on a given bucket. Good for checking if it exists and
@@ -459,12 +1382,8 @@ class S3 {
     const params = {
       Bucket: bucket
     };
-    return new Promise((resolve, reject) => {
-      this.s3.headBucket(params, (err, res) => {
-        if (err) return reject(err);
-        return resolve(!!res);
-      });
-    });
+    const res = await this.request('headBucket', params);
+    return !!res;
   }
 }
 
@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * This class limits how many tasks can run at once. Tasks beyond the limit wait
+ * in a queue, and each waiting task is started as soon as any running task
+ * finishes
+ */
+class Scheduler {
+  /**
+   * Constructor takes the maximum number of tasks that can run at once
+   *
+   * @param {number} limit Maximum number of concurrent tasks
+   */
+  constructor(limit) {
+    /**
+     * The maximum number of tasks that can run at once
+     */
+    this.limit = limit;
+
+    /**
+     * The number of slots currently in use
+     */
+    this.active = 0;
+
+    /**
+     * Array of resolve functions for tasks waiting on a slot
+     */
+    this.queue = [];
+  }
+
+  /**
+   * Waits for a slot to become available, and takes it. Every call must be
+   * followed by exactly one call to `release`
+   *
+   * @return {Promise} Resolves once a slot has been taken
+   */
+  async acquire() {
+    if (this.active < this.limit) {
+      this.active += 1;
+      return;
+    }
+
+    return new Promise((resolve) => {
+      this.queue.push(resolve);
+    });
+  }
+
+  /**
+   * Releases a slot. If any tasks are waiting, the slot is handed directly to
+   * the one that has been waiting the longest
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active -= 1;
+    }
+  }
+
+  /**
+   * Runs a task once a slot is available, releasing the slot when it finishes
+   *
+   * @param {Function} task Async function to run
+   *
+   * @return {Promise} Resolves or rejects with the result of the task
+   */
+  async run(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,530 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+
+const FileUtil = require('./file-util.js');
+const Checksum = require('./checksum.js');
+const ObjectRules = require('./object-rules.js');
+const Compression = require('./compression.js');
+
+// Get configuration
+const config = require('../../config/s3-config.js');
+
+/**
+ * Name of the file settings are read from, in the project and home directories
+ */
+const SETTINGS_FILE = '.simplys3rc.json';
+
+/**
+ * Name of the environment variable that selects a profile
+ */
+const PROFILE_ENV = 'SIMPLYS3_PROFILE';
+
+/**
+ * The smallest and largest part size S3 allows for multi-part uploads
+ */
+const MIN_PART_SIZE = 5242880;
+const MAX_PART_SIZE = 5368709120;
+
+/**
+ * Description of every setting. Each setting can be provided with a command line
+ * option (`opt`), an environment variable (`env`), or a settings file key. Flag
+ * options with `negate` set turn the setting off. Settings with `relative` set
+ * are file paths, which are relative to the settings file they are defined in
+ */
+const SETTINGS = {
+  partSize: {
+    opt: 'max',
+    env: 'SIMPLYS3_PART_SIZE',
+    type: 'integer',
+    min: MIN_PART_SIZE,
+    max: MAX_PART_SIZE,
+    default: config.MAX_BYTES
+  },
+  maxFiles: {
+    opt: 'max-files',
+    env: 'SIMPLYS3_MAX_FILES',
+    type: 'integer',
+    default: config.MAX_CONCURRENT_FILES
+  },
+  maxParts: {
+    opt: 'max-parts',
+    env: 'SIMPLYS3_MAX_PARTS',
+    type: 'integer',
+    default: config.MAX_CONCURRENT
+  },
+  maxAttempts: {
+    opt: 'max-attempts',
+    env: 'SIMPLYS3_MAX_ATTEMPTS',
+    type: 'integer',
+    default: config.MAX_ATTEMPTS
+  },
+  checksum: {
+    opt: 'checksum',
+    env: 'SIMPLYS3_CHECKSUM',
+    type: 'string',
+    values: Checksum.ALGORITHMS.map((algorithm) => algorithm.toLowerCase()),
+    default: null
+  },
+  region: {
+    opt: 'region',
+    env: 'AWS_DEFAULT_REGION',
+    type: 'string',
+    default: null
+  },
+  awsProfile: {
+    opt: 'aws-profile',
+    type: 'string',
+    default: null
+  },
+  endpoint: {
+    opt: 'endpoint',
+    env: 'SIMPLYS3_ENDPOINT',
+    type: 'url',
+    default: null
+  },
+  forcePathStyle: {
+    opt: 'force-path-style',
+    env: 'SIMPLYS3_FORCE_PATH_STYLE',
+    type: 'boolean',
+    default: false
+  },
+  verifySsl: {
+    opt: 'no-verify-ssl',
+    negate: true,
+    env: 'SIMPLYS3_VERIFY_SSL',
+    type: 'boolean',
+    default: true
+  },
+  caBundle: {
+    opt: 'ca-bundle',
+    env: 'AWS_CA_BUNDLE',
+    type: 'string',
+    relative: true,
+    default: null
+  },
+  sse: {
+    opt: 'sse',
+    env: 'SIMPLYS3_SSE',
+    type: 'string',
+    values: ['aes256', 'aws:kms'],
+    default: null
+  },
+  sseKmsKeyId: {
+    opt: 'sse-kms-key-id',
+    env: 'SIMPLYS3_SSE_KMS_KEY_ID',
+    type: 'string',
+    default: null
+  },
+  sseCustomerKeyFile: {
+    opt: 'sse-c-key-file',
+    env: 'SIMPLYS3_SSE_C_KEY_FILE',
+    type: 'string',
+    relative: true,
+    default: null
+  },
+  storageClass: {
+    opt: 'storage-class',
+    env: 'SIMPLYS3_STORAGE_CLASS',
+    type: 'string',
+    values: ObjectRules.STORAGE_CLASSES.map((storageClass) => storageClass.toLowerCase()),
+    default: null
+  },
+  acl: {
+    opt: 'acl',
+    env: 'SIMPLYS3_ACL',
+    type: 'string',
+    values: ObjectRules.ACLS,
+    default: null
+  },
+  tags: {
+    opt: 'tag',
+    type: 'map',
+    default: {}
+  },
+  metadata: {
+    opt: 'meta',
+    type: 'map',
+    default: {}
+  },
+  compress: {
+    opt: 'compress',
+    env: 'SIMPLYS3_COMPRESS',
+    type: 'string',
+    values: Compression.ALGORITHMS,
+    default: null
+  },
+  include: {
+    opt: 'include',
+    type: 'list',
+    default: []
+  },
+  exclude: {
+    opt: 'exclude',
+    type: 'list',
+    default: []
+  },
+  rules: {
+    opt: 'rules',
+    type: 'rules',
+    relative: true,
+    default: null
+  },
+  transforms: {
+    type: 'transforms',
+    default: []
+  },
+  deploySwitch: {
+    opt: 'switch',
+    env: 'SIMPLYS3_DEPLOY_SWITCH',
+    type: 'string',
+    values: ['entrypoints', 'website'],
+    default: 'entrypoints'
+  },
+  entrypoints: {
+    opt: 'entrypoint',
+    type: 'list',
+    default: ['index.html']
+  },
+  keepReleases: {
+    opt: 'keep',
+    env: 'SIMPLYS3_KEEP_RELEASES',
+    type: 'integer',
+    min: 1,
+    default: config.KEEP_RELEASES
+  }
+};
+
+/**
+ * Pseudo-Static class resolves the settings used by actions. Settings are taken
+ * from the following sources, with earlier sources taking priority:
+ * 1. Command line options
+ * 2. Environment variables
+ * 3. A `.simplys3rc.json` file in the current directory, or the closest parent
+ *    directory that has one (the "project" file)
+ * 4. A `.simplys3rc.json` file in the home directory (the "user" file)
+ * 5. The built in configuration in `config/s3-config.js`
+ *
+ * Settings files are JSON objects of settings. They may also have a `profiles`
+ * object of named profiles, each an object of settings, that are selected with
+ * the `--profile` option or the `SIMPLYS3_PROFILE` environment variable:
+```
+  {
+    "partSize": 67108864,
+    "exclude": ["*.map"],
+    "profiles": {
+      "production": {"region": "us-east-1", "rules": "./rules.json"}
+    }
+  }
+```
+ * A profile's settings take priority over the other settings in the same file
+ */
+class Settings {
+  /**
+   * Gets the built in default value of every setting
+   *
+   * @return {object} Object of setting names to default values
+   */
+  static get DEFAULTS() {
+    const defaults = {};
+    Object.keys(SETTINGS).forEach((name) => {
+      defaults[name] = SETTINGS[name].default;
+    });
+    return defaults;
+  }
+
+  /**
+   * Validates a single setting value, converting strings from the command line
+   * or environment to the correct type
+   *
+   * @param {string} name Name of the setting
+   * @param {*} value Value to validate
+   * @param {boolean} fromString If the value is a string that should be converted
+   * @param {string} source Description of where the value came from, for error messages
+   *
+   * @return {*} Validated value
+   */
+  static parseValue(name, value, fromString, source) {
+    const setting = SETTINGS[name];
+    const fail = (message) => {
+      throw new Error(`Invalid "${name}" in ${source}: ${message}`);
+    };
+
+    if (setting.type === 'integer') {
+      if (fromString) {
+        if (!/^[1-9]\d*$/.test(value)) fail('must be a positive integer');
+        value = parseInt(value, 10);
+      }
+      if (!Number.isInteger(value) || value < 1) fail('must be a positive integer');
+      if (setting.min && value < setting.min) fail(`must be at least ${setting.min}`);
+      if (setting.max && value > setting.max) fail(`must be at most ${setting.max}`);
+      return value;
+    }
+
+    if (setting.type === 'boolean') {
+      if (fromString) {
+        if (!/^(true|false|1|0)$/i.test(value)) fail('must be true or false');
+        value = /^(true|1)$/i.test(value);
+      }
+      if (typeof value !== 'boolean') fail('must be true or false');
+      return value;
+    }
+
+    if (setting.type === 'url') {
+      if (typeof value !== 'string' || !/^https?:\/\/[^/]+/i.test(value)) {
+        fail('must be a URL beginning with "http://" or "https://"');
+      }
+      return value;
+    }
+
+    if (setting.type === 'string') {
+      if (typeof value !== 'string' || !value) fail('must be a string');
+      if (setting.values) {
+        value = value.toLowerCase();
+        if (!setting.values.includes(value)) fail(`must be one of: ${setting.values.join(', ')}`);
+      }
+      return value;
+    }
+
+    if (setting.type === 'list') {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        fail('must be an array of strings');
+      }
+      return value;
+    }
+
+    // Maps are given as `<key>=<value>` strings on the command line
+    if (setting.type === 'map') {
+      if (fromString) {
+        const map = {};
+        value.forEach((item) => {
+          const match = item.match(/^([^=]+)=(.*)$/);
+          if (!match) fail('must be in the form <key>=<value>');
+          map[match[1]] = match[2];
+        });
+        value = map;
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value) ||
+          Object.keys(value).some((key) => typeof value[key] !== 'string')) {
+        fail('must be an object of strings');
+      }
+      return value;
+    }
+
+    // Transforms are validated in full when their modules are loaded
+    if (setting.type === 'transforms') {
+      if (!Array.isArray(value) || value.some((item) => !item || typeof item !== 'object')) {
+        fail('must be an array of transform objects');
+      }
+      return value;
+    }
+
+    // Rules are either the path of a rules file, or an array of rules
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+      fail('must be the path of a rules file, or an array of rules');
+    }
+    return value;
+  }
+
+  /**
+   * Gets the settings provided as command line options
+   *
+   * @param {Args} args Processed arguments
+   *
+   * @return {object} Object of validated settings
+   */
+  static fromArgs(args) {
+    const settings = {};
+    Object.keys(SETTINGS).forEach((name) => {
+      const setting = SETTINGS[name];
+      if (!setting.opt) return;
+
+      if (setting.type === 'list' || setting.type === 'map') {
+        // Maps may also be given as a flag followed by a pair (--tag env=prod)
+        const hasPairs = setting.type === 'map' && args.getFlagVars(setting.opt).length > 0;
+        if (args.opts[setting.opt] === true && !hasPairs) {
+          const form = setting.type === 'map' ? '<key>=<value>' : '<value>';
+          throw new Error(`"--${setting.opt}" must be provided as a value (--${setting.opt}=${form})`);
+        }
+        const list = args.getOptList(setting.opt);
+        if (list.length) settings[name] = Settings.parseValue(name, list, true, `option "--${setting.opt}"`);
+        return;
+      }
+
+      let value = args.opts[setting.opt];
+      if (value === undefined) return;
+      if (setting.type === 'boolean') {
+        // Flags can be given on their own, or with an explicit value
+        if (value !== true) value = Settings.parseValue(name, value, true, `option "--${setting.opt}"`);
+        settings[name] = setting.negate ? !value : value;
+        return;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`"--${setting.opt}" must be provided as a value (--${setting.opt}=<value>)`);
+      }
+      settings[name] = Settings.parseValue(name, value, true, `option "--${setting.opt}"`);
+    });
+    return settings;
+  }
+
+  /**
+   * Gets the settings provided as environment variables
+   *
+   * @param {object} env Environment variables
+   *
+   * @return {object} Object of validated settings
+   */
+  static fromEnv(env) {
+    const settings = {};
+    Object.keys(SETTINGS).forEach((name) => {
+      const setting = SETTINGS[name];
+      if (!setting.env || !env[setting.env]) return;
+      settings[name] = Settings.parseValue(name, env[setting.env], true, `envar "${setting.env}"`);
+    });
+    return settings;
+  }
+
+  /**
+   * Reads the settings in a settings file
+   *
+   * @param {string} filePath Path of the settings file
+   * @param {string} [profile] Optional: Name of the profile to apply
+   *
+   * @return {Promise} Resolves with an object with `settings` (validated settings)
+   *                   and `hasProfile` (if the profile was found) members, or null
+   *                   if the file does not exist
+   */
+  static async fromFile(filePath, profile = null) {
+    let content;
+    try {
+      content = await FileUtil.readFile(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw new Error(`Settings file "${filePath}" is not valid JSON: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Settings file "${filePath}" must contain an object`);
+    }
+
+    const profiles = data.profiles || {};
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+      throw new Error(`Settings file "${filePath}" has invalid "profiles", which must be an object`);
+    }
+
+    const parseObject = (obj, source) => {
+      const settings = {};
+      Object.keys(obj).forEach((name) => {
+        if (name === 'profiles' && obj === data) return;
+        if (!SETTINGS[name]) {
+          throw new Error(`Unknown setting "${name}" in ${source}`);
+        }
+        settings[name] = Settings.parseValue(name, obj[name], false, source);
+      });
+
+      // File paths are relative to the settings file they are defined in
+      Object.keys(settings).forEach((name) => {
+        if (SETTINGS[name].relative && typeof settings[name] === 'string') {
+          settings[name] = path.resolve(path.dirname(filePath), settings[name]);
+        }
+
+        // Transform modules are only paths if they start with a dot, otherwise
+        // they are the names of installed packages
+        if (SETTINGS[name].type === 'transforms') {
+          settings[name] = settings[name].map((transform) => {
+            if (typeof transform.module !== 'string' || !transform.module.startsWith('.')) return transform;
+            return Object.assign({}, transform, {module: path.resolve(path.dirname(filePath), transform.module)});
+          });
+        }
+      });
+      return settings;
+    };
+
+    const settings = parseObject(data, `"${filePath}"`);
+    const hasProfile = !!profile && Object.prototype.hasOwnProperty.call(profiles, profile);
+    if (hasProfile) {
+      const profileData = profiles[profile];
+      if (!profileData || typeof profileData !== 'object' || Array.isArray(profileData)) {
+        throw new Error(`Profile "${profile}" in "${filePath}" must be an object`);
+      }
+      Object.assign(settings, parseObject(profileData, `profile "${profile}" of "${filePath}"`));
+    }
+
+    return {settings, hasProfile};
+  }
+
+  /**
+   * Finds the project settings file, by searching the given directory and each
+   * of its parents
+   *
+   * @param {string} dir Directory to begin searching in
+   *
+   * @return {Promise} Resolves with the path of the settings file, or null if
+   *                   none was found
+   */
+  static async findProjectFile(dir) {
+    let current = path.resolve(dir);
+    for (;;) {
+      const filePath = path.join(current, SETTINGS_FILE);
+      try {
+        await FileUtil.getStats(filePath);
+        return filePath;
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) return null;
+      current = parent;
+    }
+  }
+
+  /**
+   * Loads the settings for a run, from every source
+   *
+   * @param {Args} args Processed arguments
+   * @param {object} [opts] Optional: Where to look for settings
+   * @param {object} [opts.env] Environment variables. Defaults to `process.env`
+   * @param {string} [opts.cwd] Directory the project file is searched for from.
+   *                            Defaults to the current directory
+   * @param {string} [opts.userFile] Path of the user settings file. Defaults to
+   *                                 the file in the home directory
+   *
+   * @return {Promise} Resolves with an object of every setting
+   */
+  static async load(args, opts = {}) {
+    const env = opts.env || process.env;
+    const userFile = opts.userFile || path.join(os.homedir(), SETTINGS_FILE);
+    let projectFile = await Settings.findProjectFile(opts.cwd || process.cwd());
+    if (projectFile && path.resolve(projectFile) === path.resolve(userFile)) projectFile = null;
+
+    const profile = args.opts.profile || env[PROFILE_ENV] || null;
+    if (profile === true) {
+      throw new Error('"--profile" must be provided as a value (--profile=<name>)');
+    }
+
+    const user = await Settings.fromFile(userFile, profile);
+    const project = projectFile ? await Settings.fromFile(projectFile, profile) : null;
+    if (profile && !(user && user.hasProfile) && !(project && project.hasProfile)) {
+      throw new Error(`Profile "${profile}" was not found in any ${SETTINGS_FILE} file`);
+    }
+
+    return Object.assign(
+        Settings.DEFAULTS,
+        user ? user.settings : {},
+        project ? project.settings : {},
+        Settings.fromEnv(env),
+        Settings.fromArgs(args),
+        {profile}
+    );
+  }
+}
+
+module.exports = Settings;
@@ -0,0 +1,155 @@
+'use strict';
+
+const path = require('path');
+const {pipeline, Transform} = require('stream');
+
+const PathFilter = require('./path-filter.js');
+
+/**
+ * This class changes the contents of files as they are uploaded, using transform
+ * plugins. Plugins are JS modules listed in the `transforms` setting, each with a
+ * `match` pattern (or array of patterns), the `module` to load, and optional
+ * `options` for the plugin:
+```
+  "transforms": [
+    {"match": "*.html", "module": "./transforms/env.js", "options": {"ENV": "production"}},
+    {"match": "*.json", "module": "./transforms/minify-json.js"}
+  ]
+```
+ * Patterns are matched against file paths relative to the source directory using
+ * the same rules as a `.s3ignore` file. Relative module paths are relative to the
+ * settings file, and other module names are loaded from the current directory
+ *
+ * A plugin module exports a function, which is called for each matching file with
+ * the plugin's options and an object with `filePath`, `relPath`, and `key` members
+ * describing the file. It returns a Transform stream, or an object with the
+ * `transform` and `flush` functions of one, as used by `FileUtil.transformCopy`:
+```
+  module.exports = (options, file) => ({
+    transform(chunk, encoding, callback) {
+      callback(null, chunk.toString().replace(/\$\{ENV\}/g, options.ENV));
+    }
+  });
+```
+ * Files matched by more than one plugin pass through each of them, in the order
+ * they are listed
+ */
+class TransformPlugins {
+  /**
+   * Constructor takes an array of plugin descriptions. Plugin modules are loaded
+   * immediately
+   *
+   * @param {object[]} [plugins] Optional: Array of plugin descriptions
+   */
+  constructor(plugins = []) {
+    if (!Array.isArray(plugins)) {
+      throw new Error('Transforms must be an array');
+    }
+
+    /**
+     * Array of validated plugins, with parsed patterns and loaded modules
+     */
+    this.plugins = plugins.map((plugin, index) => TransformPlugins.parsePlugin(plugin, index));
+  }
+
+  /**
+   * Validates a single plugin description, and loads its module
+   *
+   * @param {object} plugin Plugin description to validate
+   * @param {number} index Position of the plugin, used for error messages
+   *
+   * @return {object} Object with `patterns`, `module`, `options`, and `create` members
+   */
+  static parsePlugin(plugin, index) {
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Transform ${index} must be an object`);
+    }
+
+    const matches = [].concat(plugin.match || []);
+    if (!matches.length || matches.some((match) => typeof match !== 'string')) {
+      throw new Error(`Transform ${index} must have a "match" pattern or array of patterns`);
+    }
+    if (!plugin.module || typeof plugin.module !== 'string') {
+      throw new Error(`Transform ${index} must have the "module" to load`);
+    }
+    const options = plugin.options || {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`Transform ${index} has invalid "options", which must be an object`);
+    }
+
+    let create;
+    try {
+      create = require(require.resolve(plugin.module, {paths: [process.cwd()]}));
+    } catch (e) {
+      throw new Error(`Transform ${index} module "${plugin.module}" could not be loaded: ${e.message}`);
+    }
+    if (typeof create !== 'function') {
+      throw new Error(`Transform ${index} module "${plugin.module}" must export a function`);
+    }
+
+    return {
+      patterns: matches.map(PathFilter.parseRule),
+      module: plugin.module,
+      options,
+      create
+    };
+  }
+
+  /**
+   * Creates the stream for a plugin
+   *
+   * @param {object} plugin Parsed plugin
+   * @param {object} file Object with `filePath`, `relPath`, and `key` members
+   *
+   * @return {Transform} Stream that transforms the file contents
+   */
+  static createStream(plugin, file) {
+    const result = plugin.create(Object.assign({}, plugin.options), file);
+
+    // Anything that can be written to and piped from is treated as a stream
+    if (result && typeof result.write === 'function' && typeof result.pipe === 'function') {
+      return result;
+    }
+    if (result && typeof result.transform === 'function') {
+      return new Transform({transform: result.transform, flush: result.flush});
+    }
+    throw new Error(`Transform module "${plugin.module}" must return a stream, or an object with a ` +
+      '"transform" function');
+  }
+
+  /**
+   * Gets a function that applies every matching plugin to the contents of a file
+   *
+   * @param {string} filePath Full path of the file
+   * @param {string} relPath "unix" style file path relative to the source directory
+   * @param {string} key Object key the file is uploaded to
+   *
+   * @return {Function} Function that takes a stream of the file contents and returns
+   *                    a stream of the transformed contents, or null if no plugins
+   *                    match the file
+   */
+  getTransform(filePath, relPath, key) {
+    // As in an ignore file, the last pattern that matches decides, so negated
+    // patterns can leave files out
+    const plugins = this.plugins.filter((plugin) => {
+      let matched = false;
+      plugin.patterns.forEach((pattern) => {
+        if (pattern && pattern.regExp.test(relPath)) matched = !pattern.negate;
+      });
+      return matched;
+    });
+    if (!plugins.length) return null;
+
+    const file = {filePath: path.resolve(filePath), relPath, key};
+    return (readStream) => {
+      const streams = plugins.map((plugin) => TransformPlugins.createStream(plugin, file));
+
+      // The pipeline destroys the last stream with any error, so there is nothing
+      // left to handle once it finishes
+      pipeline(readStream, ...streams, () => {});
+      return streams[streams.length - 1];
+    };
+  }
+}
+
+module.exports = TransformPlugins;
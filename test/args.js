@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('assert');
+
+const Args = require('../lib/utils/args.js');
+
+/**
+ * Processes arguments as if they were given on the command line
+ *
+ * @param {...string} argv Arguments after the script
+ *
+ * @return {Args} Processed arguments
+ */
+const parse = (...argv) => new Args(['node', 'simplys3'].concat(argv));
+
+describe('Args', () => {
+  it('records the process, script, and arguments', () => {
+    const args = parse('upload', 'mybucket/path');
+    assert.strictEqual(args.process, 'node');
+    assert.strictEqual(args.script, 'simplys3');
+    assert.deepStrictEqual(args.args, ['upload', 'mybucket/path']);
+  });
+
+  it('splits single dash options into single character flags', () => {
+    const args = parse('-rn');
+    assert.strictEqual(args.opts.r, true);
+    assert.strictEqual(args.opts.n, true);
+  });
+
+  it('reads string options given with "=" or ":"', () => {
+    const args = parse('--region=us-west-2', '--source:dist');
+    assert.strictEqual(args.opts.region, 'us-west-2');
+    assert.strictEqual(args.opts.source, 'dist');
+  });
+
+  it('keeps everything after the first "=" in the value', () => {
+    const args = parse('--tag=env=prod');
+    assert.strictEqual(args.opts.tag, 'env=prod');
+  });
+
+  it('reads multi character flags', () => {
+    const args = parse('--recursive');
+    assert.strictEqual(args.opts.recursive, true);
+  });
+
+  it('reads variables', () => {
+    const args = parse('AWS_DEFAULT_REGION=us-east-1');
+    assert.strictEqual(args.vars.AWS_DEFAULT_REGION, 'us-east-1');
+    assert.deepStrictEqual(args.args, []);
+  });
+
+  it('lists every value of a repeated option in order', () => {
+    const args = parse('--exclude=*.map', '--exclude=tmp/');
+    assert.deepStrictEqual(args.getOptList('exclude'), ['*.map', 'tmp/']);
+    assert.deepStrictEqual(args.getOptList('include'), []);
+  });
+
+  it('reads a variable directly after a flag as a value of the flag', () => {
+    const args = parse('--tag', 'env=prod', '--tag=team=web', '--tag', 'app=site');
+    assert.deepStrictEqual(args.getOptList('tag'), ['env=prod', 'team=web', 'app=site']);
+    assert.deepStrictEqual(args.getFlagVars('tag'), ['env=prod', 'app=site']);
+  });
+
+  it('does not read a variable after a single character flag as a value', () => {
+    const args = parse('-n', 'env=prod');
+    assert.deepStrictEqual(args.getFlagVars('n'), []);
+    assert.strictEqual(args.vars.env, 'prod');
+  });
+
+  it('only reads the variable directly after a flag', () => {
+    const args = parse('--tag', 'mybucket', 'env=prod');
+    assert.deepStrictEqual(args.getFlagVars('tag'), []);
+    assert.deepStrictEqual(args.args, ['mybucket']);
+  });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileUtil = require('../lib/utils/file-util.js');
+
+/**
+ * Calculates an MD5 hash
+ *
+ * @param {buffer} data Data to hash
+ *
+ * @return {buffer} Hash
+ */
+const md5 = (data) => crypto.createHash('md5').update(data).digest();
+
+describe('FileUtil', () => {
+  describe('getEtag', () => {
+    let tempDir;
+    let filePath;
+    const content = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+
+    before(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simplys3-etag-'));
+      filePath = path.join(tempDir, 'file.txt');
+      fs.writeFileSync(filePath, content);
+    });
+
+    after(() => {
+      fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    it('is the MD5 of files smaller than a part', async () => {
+      assert.strictEqual(await FileUtil.getEtag(filePath, 1024), md5(content).toString('hex'));
+    });
+
+    it('is the MD5 of the part MD5s, and the part count, for larger files', async () => {
+      const parts = [content.slice(0, 16), content.slice(16, 32), content.slice(32)];
+      const expected = md5(Buffer.concat(parts.map(md5))).toString('hex');
+      assert.strictEqual(await FileUtil.getEtag(filePath, 16), `${expected}-3`);
+    });
+
+    it('is a multi-part ETag for files exactly one part long', async () => {
+      const expected = md5(md5(content)).toString('hex');
+      assert.strictEqual(await FileUtil.getEtag(filePath, content.length), `${expected}-1`);
+    });
+
+    it('splits reads across part boundaries', async () => {
+      // Parts are much smaller than the chunks the file is read in
+      const parts = [];
+      for (let i=0; i<content.length; i+=5) parts.push(content.slice(i, i + 5));
+      const expected = md5(Buffer.concat(parts.map(md5))).toString('hex');
+      assert.strictEqual(await FileUtil.getEtag(filePath, 5), `${expected}-${parts.length}`);
+    });
+
+    it('is the MD5 of nothing for empty files', async () => {
+      const emptyPath = path.join(tempDir, 'empty.txt');
+      fs.writeFileSync(emptyPath, '');
+      assert.strictEqual(await FileUtil.getEtag(emptyPath, 16), md5(Buffer.alloc(0)).toString('hex'));
+    });
+
+    it('rejects for files that do not exist', async () => {
+      await assert.rejects(FileUtil.getEtag(path.join(tempDir, 'missing.txt'), 16), {code: 'ENOENT'});
+    });
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('assert');
+
+const Glob = require('../lib/utils/glob.js');
+
+describe('Glob', () => {
+  it('matches "*" within a single path segment', () => {
+    assert.strictEqual(Glob.match('*.js', 'index.js'), true);
+    assert.strictEqual(Glob.match('*.js', 'lib/index.js'), false);
+  });
+
+  it('matches "**" across path segments', () => {
+    assert.strictEqual(Glob.match('**/*.js', 'lib/utils/glob.js'), true);
+    assert.strictEqual(Glob.match('lib/**', 'lib/utils/glob.js'), true);
+  });
+
+  it('matches "**/" with zero directories', () => {
+    assert.strictEqual(Glob.match('**/*.js', 'index.js'), true);
+    assert.strictEqual(Glob.match('lib/**/glob.js', 'lib/glob.js'), true);
+  });
+
+  it('matches "?" with a single character other than "/"', () => {
+    assert.strictEqual(Glob.match('file?.txt', 'file1.txt'), true);
+    assert.strictEqual(Glob.match('file?.txt', 'file10.txt'), false);
+    assert.strictEqual(Glob.match('a?b', 'a/b'), false);
+  });
+
+  it('matches character sets, ranges, and negated sets', () => {
+    assert.strictEqual(Glob.match('[abc].txt', 'b.txt'), true);
+    assert.strictEqual(Glob.match('[a-c].txt', 'd.txt'), false);
+    assert.strictEqual(Glob.match('[!a-c].txt', 'd.txt'), true);
+  });
+
+  it('matches any of the brace alternatives', () => {
+    assert.strictEqual(Glob.match('*.{js,css}', 'app.css'), true);
+    assert.strictEqual(Glob.match('*.{js,css}', 'app.html'), false);
+  });
+
+  it('matches escaped and regular expression characters literally', () => {
+    assert.strictEqual(Glob.match('\\*.txt', '*.txt'), true);
+    assert.strictEqual(Glob.match('\\*.txt', 'a.txt'), false);
+    assert.strictEqual(Glob.match('a+b.txt', 'a+b.txt'), true);
+    assert.strictEqual(Glob.match('a.txt', 'abtxt'), false);
+  });
+
+  it('matches the whole path', () => {
+    assert.strictEqual(Glob.match('lib', 'lib/index.js'), false);
+    assert.strictEqual(Glob.match('index', 'index.js'), false);
+  });
+});
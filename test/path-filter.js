@@ -0,0 +1,71 @@
+'use strict';
+
+const assert = require('assert');
+
+const PathFilter = require('../lib/utils/path-filter.js');
+
+describe('PathFilter', () => {
+  it('processes everything when there are no patterns', () => {
+    const filter = new PathFilter();
+    assert.strictEqual(filter.accepts('lib/index.js'), true);
+  });
+
+  it('matches patterns without a "/" at any depth', () => {
+    const filter = new PathFilter({exclude: ['*.map']});
+    assert.strictEqual(filter.accepts('app.js.map'), false);
+    assert.strictEqual(filter.accepts('dist/js/app.js.map'), false);
+    assert.strictEqual(filter.accepts('dist/js/app.js'), true);
+  });
+
+  it('matches patterns with a "/" relative to the base directory', () => {
+    const filter = new PathFilter({exclude: ['/build', 'docs/*.md']});
+    assert.strictEqual(filter.accepts('build/app.js'), false);
+    assert.strictEqual(filter.accepts('src/build/app.js'), true);
+    assert.strictEqual(filter.accepts('docs/readme.md'), false);
+    assert.strictEqual(filter.accepts('src/docs/readme.md'), true);
+  });
+
+  it('only matches patterns with a trailing "/" against directories', () => {
+    const filter = new PathFilter({exclude: ['tmp/']});
+    assert.strictEqual(filter.test('tmp', true), false);
+    assert.strictEqual(filter.test('tmp', false), true);
+    assert.strictEqual(filter.accepts('tmp/file.txt'), false);
+  });
+
+  it('lets the last matching pattern win', () => {
+    const filter = new PathFilter({exclude: ['*.log', '!keep.log']});
+    assert.strictEqual(filter.accepts('error.log'), false);
+    assert.strictEqual(filter.accepts('logs/keep.log'), true);
+
+    const reversed = new PathFilter({exclude: ['!keep.log', '*.log']});
+    assert.strictEqual(reversed.accepts('keep.log'), false);
+  });
+
+  it('ignores blank lines and comments, and reads escaped characters', () => {
+    const patterns = PathFilter.parseIgnoreFile('# comment\r\n\n\\#notes.txt\n\\!bang.txt  \n');
+    const filter = new PathFilter({exclude: patterns});
+    assert.strictEqual(filter.excludeRules.length, 2);
+    assert.strictEqual(filter.accepts('#notes.txt'), false);
+    assert.strictEqual(filter.accepts('!bang.txt'), false);
+    assert.strictEqual(filter.accepts('comment'), true);
+  });
+
+  it('requires files to match an include pattern, if any are given', () => {
+    const filter = new PathFilter({include: ['*.html', 'assets/**'], exclude: ['*.tmp.html']});
+    assert.strictEqual(filter.accepts('index.html'), true);
+    assert.strictEqual(filter.accepts('assets/img/logo.png'), true);
+    assert.strictEqual(filter.accepts('readme.md'), false);
+    assert.strictEqual(filter.accepts('draft.tmp.html'), false);
+  });
+
+  it('always walks directories that are not excluded', () => {
+    const filter = new PathFilter({include: ['*.html']});
+    assert.strictEqual(filter.test('pages', true), true);
+  });
+
+  it('rejects files within excluded directories', () => {
+    const filter = new PathFilter({exclude: ['node_modules/']});
+    assert.strictEqual(filter.accepts('node_modules/pkg/index.js'), false);
+    assert.strictEqual(filter.accepts('lib/node_modules/pkg/index.js'), false);
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const assert = require('assert');
+
+const Releases = require('../lib/utils/releases.js');
+
+/**
+ * Creates a fake S3 instance that keeps objects in memory
+ *
+ * @param {string[]} keys Keys of the objects in the bucket
+ *
+ * @return {object} Fake S3 instance, with `keys` and `copies` members
+ */
+const createS3 = (keys) => {
+  const s3 = {
+    keys: keys.slice(),
+    copies: [],
+    headS3Object: async (bucket, key) => s3.keys.includes(key) ? {} : null,
+    getS3Object: async () => {
+      const err = new Error('The specified key does not exist');
+      err.code = 'NoSuchKey';
+      throw err;
+    },
+    putS3Object: async () => ({}),
+    getS3ObjectList: async (bucket, prefix) => s3.keys.filter((key) => key.startsWith(prefix)),
+    copyS3Object: async (srcBucket, srcKey, dstBucket, dstKey) => {
+      s3.copies.push(dstKey);
+      return {};
+    },
+    deleteS3Objects: async (bucket, objectKeys) => {
+      s3.keys = s3.keys.filter((key) => !objectKeys.includes(key));
+      return {Deleted: objectKeys.map((key) => ({Key: key})), Errors: []};
+    }
+  };
+  return s3;
+};
+
+describe('Releases', () => {
+  it('names releases by the time they were created', () => {
+    assert.strictEqual(Releases.createName(new Date('2024-01-31T23:59:59.123Z')), '20240131T235959Z');
+  });
+
+  it('finds the path of an object within a release', () => {
+    const releases = new Releases(createS3([]), 'bucket', 'site');
+    assert.strictEqual(releases.getReleasePath('20240131T235959Z'), 'releases/site/20240131T235959Z/');
+    assert.strictEqual(releases.getReleaseKey('releases/site/20240131T235959Z/css/app.css'), 'css/app.css');
+    assert.strictEqual(releases.getReleaseKey('releases/other/20240131T235959Z/index.html'), null);
+    assert.strictEqual(releases.getReleaseKey('site/index.html'), null);
+  });
+
+  it('copies every object of a release to the site path, entrypoints last', async () => {
+    const releasePath = 'releases/site/20240131T235959Z/';
+    const s3 = createS3([`${releasePath}index.html`, `${releasePath}css/app.css`, `${releasePath}img/`]);
+    const releases = new Releases(s3, 'bucket', 'site');
+
+    await releases.switchTo('20240131T235959Z', 'entrypoints', ['index.html']);
+    assert.deepStrictEqual(s3.copies, ['site/css/app.css', 'site/index.html']);
+    assert.strictEqual(releases.current, '20240131T235959Z');
+    assert.deepStrictEqual(releases.releases, ['20240131T235959Z']);
+  });
+
+  it('copies nothing if an entrypoint is missing', async () => {
+    const s3 = createS3(['releases/site/20240131T235959Z/css/app.css']);
+    const releases = new Releases(s3, 'bucket', 'site');
+
+    await assert.rejects(releases.switchTo('20240131T235959Z', 'entrypoints', ['index.html']),
+        /Entrypoint "index.html" does not exist/);
+    assert.deepStrictEqual(s3.copies, []);
+    assert.strictEqual(releases.current, null);
+  });
+
+  it('rolls back to the release before the current one', () => {
+    const releases = new Releases(createS3([]), 'bucket', 'site');
+    releases.releases = ['20240101T000000Z', '20240102T000000Z', '20240103T000000Z'];
+    releases.current = '20240103T000000Z';
+
+    assert.strictEqual(releases.getRollbackTarget(), '20240102T000000Z');
+    assert.strictEqual(releases.getRollbackTarget('20240101T000000Z'), '20240101T000000Z');
+    assert.throws(() => releases.getRollbackTarget('20240103T000000Z'), /already the current release/);
+    assert.throws(() => releases.getRollbackTarget('20240104T000000Z'), /does not exist/);
+  });
+
+  it('prunes the oldest releases, but never the current one', async () => {
+    const names = ['20240101T000000Z', '20240102T000000Z', '20240103T000000Z', '20240104T000000Z'];
+    const s3 = createS3(names.map((name) => `releases/site/${name}/index.html`));
+    const releases = new Releases(s3, 'bucket', 'site');
+    releases.releases = names.slice();
+    releases.current = names[0];
+
+    assert.deepStrictEqual(await releases.prune(2), [names[1]]);
+    assert.deepStrictEqual(releases.releases, [names[0], names[2], names[3]]);
+    assert.deepStrictEqual(s3.keys, [names[0], names[2], names[3]].map((name) => `releases/site/${name}/index.html`));
+  });
+});
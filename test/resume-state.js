@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ResumeState = require('../lib/utils/resume-state.js');
+
+describe('ResumeState', () => {
+  let tempDir;
+  let filePath;
+
+  /**
+   * Creates the data of an upload
+   *
+   * @param {string} uploadId ID of the multi-part upload
+   *
+   * @return {object} Upload data
+   */
+  const upload = (uploadId) => ({bucket: 'bucket', key: 'key', uploadId, partSize: 5242880, parts: []});
+
+  /**
+   * Reads the uploads in the state file
+   *
+   * @return {object} Map of IDs to uploads
+   */
+  const readUploads = () => JSON.parse(fs.readFileSync(filePath, 'utf8')).uploads;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simplys3-resume-'));
+    filePath = path.join(tempDir, 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, {recursive: true, force: true});
+  });
+
+  it('loads nothing when the state file does not exist', async () => {
+    const state = new ResumeState(filePath);
+    await state.load();
+    assert.deepStrictEqual(state.uploads, {});
+  });
+
+  it('saves uploads and their parts', async () => {
+    const state = new ResumeState(filePath);
+    await state.load();
+    await state.set('a', upload('upload-a'));
+    await state.addPart('a', {PartNumber: 1, ETag: '"etag"'});
+
+    const loaded = new ResumeState(filePath);
+    await loaded.load();
+    assert.strictEqual(loaded.get('a').uploadId, 'upload-a');
+    assert.deepStrictEqual(loaded.get('a').parts, [{PartNumber: 1, ETag: '"etag"'}]);
+  });
+
+  it('keeps uploads saved by other instances using the same file', async () => {
+    const first = new ResumeState(filePath);
+    const second = new ResumeState(filePath);
+    await first.load();
+    await second.load();
+
+    await first.set('a', upload('upload-a'));
+    await second.set('b', upload('upload-b'));
+    assert.deepStrictEqual(Object.keys(readUploads()).sort(), ['a', 'b']);
+
+    // Deleting an upload only removes that upload
+    await first.delete('a');
+    assert.deepStrictEqual(Object.keys(readUploads()), ['b']);
+    assert.strictEqual(second.get('b').uploadId, 'upload-b');
+  });
+
+  it('keeps every upload when instances save at the same time', async () => {
+    const instances = [new ResumeState(filePath), new ResumeState(filePath), new ResumeState(filePath)];
+    await Promise.all(instances.map((state) => state.load()));
+
+    const saves = [];
+    for (let i=0; i<10; i++) {
+      instances.forEach((state, index) => {
+        saves.push(state.set(`${index}-${i}`, upload(`upload-${index}-${i}`)));
+      });
+    }
+    await Promise.all(saves);
+
+    assert.strictEqual(Object.keys(readUploads()).length, 30);
+    assert.deepStrictEqual(fs.readdirSync(tempDir), ['state.json']);
+  });
+
+  it('finds stale uploads of the same object', async () => {
+    const state = new ResumeState(filePath);
+    await state.load();
+    await state.set('old', upload('upload-old'));
+    await state.set('new', upload('upload-new'));
+    await state.set('other', Object.assign(upload('upload-other'), {key: 'other-key'}));
+
+    assert.deepStrictEqual(state.getStaleIds('new', 'bucket', 'key'), ['old']);
+  });
+
+  it('warns instead of rejecting when state can not be saved', async () => {
+    const state = new ResumeState(path.join(tempDir, 'missing', 'state.json'));
+    await state.load();
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      await state.set('a', upload('upload-a'));
+    } finally {
+      console.warn = warn;
+    }
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Resume state could not be saved/);
+  });
+});
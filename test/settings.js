@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Args = require('../lib/utils/args.js');
+const Settings = require('../lib/utils/settings.js');
+
+// Get configuration
+const config = require('../config/s3-config.js');
+
+const MiB = 1024 * 1024;
+
+/**
+ * Processes arguments as if they were given on the command line
+ *
+ * @param {...string} argv Arguments after the script
+ *
+ * @return {Args} Processed arguments
+ */
+const parse = (...argv) => new Args(['node', 'simplys3', 'upload'].concat(argv));
+
+describe('Settings', () => {
+  let tempDir;
+  let projectDir;
+  let userFile;
+
+  /**
+   * Writes a settings file
+   *
+   * @param {string} filePath Path of the file
+   * @param {object} data Settings
+   */
+  const writeSettings = (filePath, data) => {
+    fs.writeFileSync(filePath, JSON.stringify(data));
+  };
+
+  /**
+   * Loads settings from the temporary project and user files
+   *
+   * @param {Args} args Processed arguments
+   * @param {object} [env] Environment variables
+   *
+   * @return {Promise} Resolves with the settings
+   */
+  const load = (args, env = {}) => Settings.load(args, {env, cwd: projectDir, userFile});
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simplys3-settings-'));
+    projectDir = path.join(tempDir, 'project', 'src');
+    fs.mkdirSync(projectDir, {recursive: true});
+    userFile = path.join(tempDir, 'user.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, {recursive: true, force: true});
+  });
+
+  it('uses the built in configuration when nothing else is given', async () => {
+    const settings = await load(parse());
+    assert.strictEqual(settings.partSize, config.MAX_BYTES);
+    assert.deepStrictEqual(settings.exclude, []);
+    assert.strictEqual(settings.profile, null);
+  });
+
+  it('takes options over envars over the project file over the user file', async () => {
+    writeSettings(userFile, {partSize: 6 * MiB, maxFiles: 1, maxParts: 1, maxAttempts: 1});
+    writeSettings(path.join(tempDir, 'project', '.simplys3rc.json'), {partSize: 7 * MiB, maxFiles: 2, maxParts: 2});
+    const env = {SIMPLYS3_PART_SIZE: `${8 * MiB}`, SIMPLYS3_MAX_FILES: '3'};
+
+    const settings = await load(parse(`--max=${9 * MiB}`), env);
+    assert.strictEqual(settings.partSize, 9 * MiB);
+    assert.strictEqual(settings.maxFiles, 3);
+    assert.strictEqual(settings.maxParts, 2);
+    assert.strictEqual(settings.maxAttempts, 1);
+  });
+
+  it('finds the project file in a parent directory', async () => {
+    writeSettings(path.join(tempDir, 'project', '.simplys3rc.json'), {exclude: ['*.map']});
+    const settings = await load(parse());
+    assert.deepStrictEqual(settings.exclude, ['*.map']);
+  });
+
+  it('applies a profile over the other settings in the same file only', async () => {
+    writeSettings(userFile, {maxFiles: 1, profiles: {production: {maxFiles: 2, maxParts: 2}}});
+    writeSettings(path.join(projectDir, '.simplys3rc.json'), {maxParts: 3});
+
+    const settings = await load(parse('--profile=production'));
+    assert.strictEqual(settings.maxFiles, 2);
+    assert.strictEqual(settings.maxParts, 3);
+    assert.strictEqual(settings.profile, 'production');
+  });
+
+  it('selects a profile with an envar', async () => {
+    writeSettings(userFile, {profiles: {production: {region: 'us-east-1'}}});
+    const settings = await load(parse(), {SIMPLYS3_PROFILE: 'production'});
+    assert.strictEqual(settings.region, 'us-east-1');
+  });
+
+  it('rejects profiles that do not exist', async () => {
+    writeSettings(userFile, {profiles: {production: {}}});
+    await assert.rejects(load(parse('--profile=staging')), /Profile "staging" was not found/);
+  });
+
+  it('resolves file paths relative to the settings file', async () => {
+    writeSettings(path.join(tempDir, 'project', '.simplys3rc.json'), {caBundle: './ca.pem'});
+    const settings = await load(parse());
+    assert.strictEqual(settings.caBundle, path.join(tempDir, 'project', 'ca.pem'));
+  });
+
+  it('rejects unknown settings and invalid values', async () => {
+    writeSettings(userFile, {partsize: 6 * MiB});
+    await assert.rejects(load(parse()), /Unknown setting "partsize"/);
+
+    writeSettings(userFile, {partSize: 1024});
+    await assert.rejects(load(parse()));
+  });
+
+  it('reads repeated options and key value pairs', async () => {
+    const settings = await load(parse('--exclude=*.map', '--exclude=tmp/', '--tag=env=prod', '--tag', 'team=web'));
+    assert.deepStrictEqual(settings.exclude, ['*.map', 'tmp/']);
+    assert.deepStrictEqual(settings.tags, {env: 'prod', team: 'web'});
+  });
+
+  it('rejects list options given as flags', async () => {
+    await assert.rejects(load(parse('--exclude')), /"--exclude" must be provided as a value/);
+    await assert.rejects(load(parse('--tag')), /"--tag" must be provided as a value/);
+  });
+});